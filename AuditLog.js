@@ -0,0 +1,103 @@
+/*******************************
+ * Kinship Barbershop — audit trail for the Processed sheet
+ * Destination tab: Audit Log (append-only)
+ * Every row the sync appends or overwrites in "Processed" is logged with the
+ * columns that changed, their old and new values (JSON) and the cause:
+ *   new payment | payment update | commission rate | refund
+ * showPaymentHistory(paymentId) prints the history of one payment and its refunds.
+ *******************************/
+
+const AUDIT_TAB = 'Audit Log';
+
+const AUDIT_HEADERS = [
+  'Timestamp','PaymentID','Related PaymentID','Action','Cause','Columns Changed','Old Values','New Values'
+];
+
+// When only these columns change on an existing payment row, the cause is a rate change
+const AUDIT_RATE_COLUMNS = [
+  'Commission Rate (%)','Staff Service Commission','Product Commission Rate','Product Commission',
+  'Staff Processing Fee','Total Staff Commission','Net Business Take'
+];
+
+/**
+ * Audit entry for one Processed row write, or null when nothing changed.
+ * oldRow is the row as read from the sheet (null for an append); both rows
+ * are laid out per headers.
+ */
+function buildAuditEntry_(headers, oldRow, newRow, timestamp) {
+  const col = headerIndex_(headers);
+  const changed = headers.filter((h, i) =>
+    auditValue_(oldRow ? oldRow[i] : '') !== auditValue_(newRow[i]));
+  if (!changed.length) return null;
+
+  const isRefund = newRow[col['Row Type']] === 'Refund';
+  let cause;
+  if (!oldRow) {
+    cause = isRefund ? 'refund' : 'new payment';
+  } else if (changed.every(h => AUDIT_RATE_COLUMNS.includes(h))) {
+    cause = 'commission rate';
+  } else {
+    cause = isRefund ? 'refund' : 'payment update';
+  }
+
+  const pick = row => {
+    const out = {};
+    changed.forEach(h => { out[h] = row ? auditValue_(row[col[h]]) : ''; });
+    return JSON.stringify(out);
+  };
+  return [
+    timestamp,
+    newRow[col['PaymentID']],
+    isRefund ? newRow[col['Original PaymentID']] : '',
+    oldRow ? 'Update' : 'Append',
+    cause,
+    changed.join(', '),
+    oldRow ? pick(oldRow) : '',
+    pick(newRow)
+  ];
+}
+
+/** Sheet values and freshly built values compare equal when they'd display the same. */
+function auditValue_(v) {
+  if (v instanceof Date) return formatDateTime_(v.toISOString());
+  if (typeof v === 'number') return String(Math.round(v * 10000) / 10000);
+  if (v === null || v === undefined) return '';
+  return String(v).trim();
+}
+
+function writeAuditEntries_(entries) {
+  if (!entries.length) return;
+  const sheet = getOrCreateSheet_(AUDIT_TAB, AUDIT_HEADERS);
+  sheet.getRange(sheet.getLastRow() + 1, 1, entries.length, AUDIT_HEADERS.length).setValues(entries);
+  Logger.log(`Audit Log: recorded ${entries.length} row change(s).`);
+}
+
+/**
+ * Logs (and returns) every audit entry for a payment, including its refunds.
+ */
+function showPaymentHistory(paymentId) {
+  const id = String(paymentId || '').trim();
+  const sheet = getSpreadsheet_().getSheetByName(AUDIT_TAB);
+  if (!id || !sheet || sheet.getLastRow() < 2) {
+    Logger.log(`No audit history for ${id || '(blank PaymentID)'}.`);
+    return [];
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const col = headerIndex_(values[0]);
+  const entries = values.slice(1)
+    .filter(r => String(r[col['PaymentID']]).trim() === id || String(r[col['Related PaymentID']]).trim() === id)
+    .map(r => {
+      const entry = {};
+      AUDIT_HEADERS.forEach(h => { entry[h] = r[col[h]]; });
+      return entry;
+    });
+
+  Logger.log(`History for ${id} (${entries.length} entries):`);
+  entries.forEach(e => {
+    Logger.log(`${e['Timestamp']} ${e['PaymentID']} ${e['Action']} [${e['Cause']}] ${e['Columns Changed']}`);
+    if (e['Old Values']) Logger.log(`  old: ${e['Old Values']}`);
+    Logger.log(`  new: ${e['New Values']}`);
+  });
+  return entries;
+}
@@ -0,0 +1,189 @@
+/*******************************
+ * Kinship Barbershop — historical backfill
+ *   backfillSquareRange('2024-01-01', '2024-12-31')
+ * Re-fetches payments created in the range (and refunds created in it) one
+ * month at a time, in pages, and upserts them into "Processed" exactly as the
+ * sync does. Only the locations synced on "Locations" are backfilled. The
+ * incremental sync cursor and the team/customer/booking caches are left
+ * alone. A long range pauses before the time limit and continues from a
+ * trigger (continueBackfill). Progress and the per-month added/changed
+ * counts live in Script Property BACKFILL_STATE_KEY; run showBackfillReport()
+ * to see them.
+ *******************************/
+
+const BACKFILL_STATE_KEY = 'SQUARE_BACKFILL_STATE_JSON';
+
+/**
+ * Backfills payments created between startDate and endDate (inclusive).
+ * Dates: 'YYYY-MM-DD', 'M/D/YYYY' or Date.
+ */
+function backfillSquareRange(startDate, endDate) {
+  const start = parseBackfillDate_(startDate);
+  const end = parseBackfillDate_(endDate);
+  if (!start || !end || end < start) {
+    throw new Error(`Backfill: invalid range ${startDate} – ${endDate}.`);
+  }
+  const endExclusive = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+
+  const props = getScriptProps_();
+  const previous = JSON.parse(props.getProperty(BACKFILL_STATE_KEY) || 'null');
+  if (previous && previous.state === 'paused') {
+    Logger.log(`Backfill: replacing the paused backfill ${previous.label}.`);
+  }
+
+  const state = {
+    state: 'running',
+    label: `${formatDateShort_(start)} – ${formatDateShort_(end)}`,
+    startIso: start.toISOString(),
+    endIso: endExclusive.toISOString(),
+    nextIso: start.toISOString(),
+    pages: 0,
+    byMonth: {},
+    message: ''
+  };
+  props.setProperty(BACKFILL_STATE_KEY, JSON.stringify(state));
+  runBackfill_();
+}
+
+/** Trigger handler for a backfill that paused on its time budget. */
+function continueBackfill() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === 'continueBackfill')
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  runBackfill_();
+}
+
+function runBackfill_() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(SYNC_LOCK_WAIT_MS)) {
+    Logger.log('Backfill: a sync or webhook is running; trying again shortly.');
+    scheduleBackfillContinuation_();
+    return;
+  }
+
+  const props = getScriptProps_();
+  const state = JSON.parse(props.getProperty(BACKFILL_STATE_KEY) || 'null');
+  const save = () => props.setProperty(BACKFILL_STATE_KEY, JSON.stringify(state));
+  try {
+    if (!state || state.state === 'done') {
+      Logger.log('Backfill: nothing to continue.');
+      return;
+    }
+    state.state = 'running';
+    const startedMs = Date.now();
+    const end = new Date(state.endIso);
+
+    // One calendar month per chunk; within a month, one Square page at a time
+    while (new Date(state.nextIso) < end) {
+      const from = new Date(state.nextIso);
+      const monthEnd = new Date(from.getFullYear(), from.getMonth() + 1, 1);
+      const chunkBeginIso = state.nextIso;
+      const chunkEndIso = monthEnd < end ? monthEnd.toISOString() : state.endIso;
+
+      let pageCursor = null;
+      let refundsFrom = chunkBeginIso;
+      do {
+        const page = fetchPaymentsCreatedPage_(chunkBeginIso, chunkEndIso, pageCursor);
+        pageCursor = page.cursor;
+
+        const lastCreatedIso = page.payments.length ? page.payments[page.payments.length - 1].created_at : '';
+        const pageEndIso = pageCursor && lastCreatedIso ? lastCreatedIso : chunkEndIso;
+        const refunds = fetchRefundsForSync_(refundsFrom, pageEndIso, page.payments);
+
+        if (page.payments.length || refunds.length) {
+          const result = processPayments_(page.payments, refunds);
+          tallyBackfillChanges_(state.byMonth, result.rowChanges);
+          state.pages++;
+        }
+        refundsFrom = pageEndIso;
+        state.nextIso = pageEndIso;
+        save();
+
+        if (pageCursor && Date.now() - startedMs > SYNC_TIME_BUDGET_MS) break;
+      } while (pageCursor);
+
+      if (new Date(state.nextIso) < end && Date.now() - startedMs > SYNC_TIME_BUDGET_MS) {
+        state.state = 'paused';
+        state.message = `Paused at ${state.nextIso}; continuing from a trigger.`;
+        save();
+        finishProcessedSheet_();
+        Logger.log(`Backfill ${state.label}: ${state.message}`);
+        if (!SQUARE_REPLAY.mode) scheduleBackfillContinuation_();
+        return;
+      }
+    }
+
+    state.state = 'done';
+    state.message = `Finished ${state.pages} page(s).`;
+    save();
+    finishProcessedSheet_();
+    logBackfillReport_(state);
+    buildPayrollSummary();
+  } catch (e) {
+    if (state) {
+      state.state = 'paused';
+      state.message = `Stopped by error at ${state.nextIso}: ${e.message || e}. Run continueBackfill() to resume.`;
+      save();
+    }
+    throw e;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function scheduleBackfillContinuation_() {
+  const pending = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === 'continueBackfill');
+  if (!pending) ScriptApp.newTrigger('continueBackfill').timeBased().after(SYNC_CONTINUE_AFTER_MS).create();
+}
+
+/**
+ * One page of payments created in [beginIso, endIso), oldest first.
+ * Returns: { payments: [...], cursor: next page cursor or null }
+ */
+function fetchPaymentsCreatedPage_(beginIso, endIso, cursor) {
+  const params = {
+    begin_time: beginIso,
+    end_time: endIso,
+    sort_order: 'ASC',
+    limit: SYNC_BATCH_SIZE
+  };
+  if (cursor) params.cursor = cursor;
+  const res = squareGet_('/payments', params);
+  return { payments: (res && res.payments) || [], cursor: (res && res.cursor) || null };
+}
+
+/** Counts added/changed/unchanged "Processed" rows by the month of their Time & Date. */
+function tallyBackfillChanges_(byMonth, rowChanges) {
+  rowChanges.forEach(c => {
+    const d = parseSheetDate_(c.time);
+    const key = d ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}` : '(no date)';
+    const m = byMonth[key] = byMonth[key] || { added: 0, changed: 0, unchanged: 0 };
+    m[c.change]++;
+  });
+}
+
+/** Logs (and returns) the state and per-month counts of the current or last backfill. */
+function showBackfillReport() {
+  const state = JSON.parse(getScriptProps_().getProperty(BACKFILL_STATE_KEY) || 'null');
+  if (!state) {
+    Logger.log('No backfill has run yet.');
+    return null;
+  }
+  logBackfillReport_(state);
+  return state;
+}
+
+function logBackfillReport_(state) {
+  Logger.log(`Backfill ${state.label}: ${state.state}. ${state.message}`);
+  Object.keys(state.byMonth).sort().forEach(month => {
+    const m = state.byMonth[month];
+    Logger.log(`  ${month}: ${m.added} added, ${m.changed} changed, ${m.unchanged} unchanged`);
+  });
+}
+
+/** 'YYYY-MM-DD' as a local date (new Date() would read it as UTC midnight); else as a sheet date. */
+function parseBackfillDate_(v) {
+  const m = String(v || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const d = m ? new Date(+m[1], +m[2] - 1, +m[3]) : parseSheetDate_(v);
+  return d ? new Date(d.getFullYear(), d.getMonth(), d.getDate()) : null;
+}
@@ -0,0 +1,222 @@
+/*******************************
+ * Kinship Barbershop — lookup cache store
+ * Hidden tab "_Cache", one row per entry:
+ *   A: Type (team | customer | booking | booking_payments)
+ *   B: Key (Square ID)
+ *   C: Value (JSON)
+ *   D: Updated At (epoch ms)
+ * Entries older than CACHE_TTL_DAYS for their type are refetched, so a
+ * renamed customer or team member is picked up without clearing anything.
+ * Expired entries of CACHE_PRUNED_TYPES are deleted instead, since nothing
+ * refetches them. The tab is read once per run; every cache opened in the run
+ * works from that copy, and flush() keeps it in step with the sheet.
+ * The old single-property caches (TEAM_CACHE_KEY etc.) are moved in here the
+ * first time each type is opened.
+ * showCacheStats() / invalidateCache(type) are the manual tools.
+ *******************************/
+
+const CACHE_TAB = '_Cache';
+const CACHE_HEADERS = ['Type','Key','Value','Updated At'];
+
+// Days before an entry is refetched; 0 = never expires
+const CACHE_TTL_DAYS = {
+  team: 30,
+  customer: 30,
+  booking: 30,
+  booking_payments: 90 // appointment_id -> payment IDs written for it (used by the webhook)
+};
+
+// Types whose expired entries are deleted when the tab is read, rather than kept as a fallback
+const CACHE_PRUNED_TYPES = ['booking_payments'];
+
+// The "_Cache" rows for this run (see readCacheRows_); replay is the in-memory spreadsheet they came from
+const CACHE_ROWS = { sheet: null, rows: null, replay: null };
+
+/**
+ * Loads one cache type. get() only returns fresh entries; peek() also returns
+ * expired ones (e.g. as a fallback when a refetch fails). Nothing is written
+ * until flush().
+ */
+function openCache_(type) {
+  const rows = readCacheRows_();
+  const sheet = CACHE_ROWS.sheet;
+  const nowMs = now_().getTime();
+  const ttlMs = (CACHE_TTL_DAYS[type] || 0) * 86400000;
+  const isFresh = e => !ttlMs || nowMs - e.updatedAt <= ttlMs;
+
+  const entries = {};
+  rows.forEach((r, i) => {
+    if (String(r[0]) !== type) return;
+    try {
+      entries[String(r[1])] = { row: i + 2, value: JSON.parse(r[2]), json: String(r[2]), updatedAt: Number(r[3]) || 0 };
+    } catch (e) {
+      Logger.log(`Cache ${type}: unreadable entry for ${r[1]} (row ${i + 2}); it will be refetched.`);
+    }
+  });
+
+  const dirty = new Set();
+  let hits = 0;
+  let misses = 0;
+
+  const cache = {
+    get: id => {
+      const e = entries[id];
+      if (e && isFresh(e)) {
+        hits++;
+        return e.value;
+      }
+      misses++;
+      return undefined;
+    },
+    peek: id => entries[id] ? entries[id].value : undefined,
+    set: (id, value) => {
+      const e = entries[id];
+      const json = JSON.stringify(value);
+      if (e && e.json === json && isFresh(e)) return;
+      entries[id] = { row: e ? e.row : null, value, json, updatedAt: nowMs };
+      dirty.add(id);
+    },
+    flush: () => {
+      if (hits || misses || dirty.size) {
+        Logger.log(`Cache ${type}: ${hits} hit(s), ${misses} miss(es), ${dirty.size} written.`);
+      }
+      if (!dirty.size) return;
+      const line = id => [type, id, entries[id].json, entries[id].updatedAt];
+      const updates = Array.from(dirty).filter(id => entries[id].row);
+      const appends = Array.from(dirty).filter(id => !entries[id].row);
+      if (updates.length) {
+        const ranges = sheet.getRangeList(updates.map(id => `A${entries[id].row}:D${entries[id].row}`)).getRanges();
+        updates.forEach((id, i) => {
+          ranges[i].setValues([line(id)]);
+          rows[entries[id].row - 2] = line(id);
+        });
+      }
+      if (appends.length) {
+        const start = rows.length + 2;
+        sheet.getRange(start, 1, appends.length, CACHE_HEADERS.length).setValues(appends.map(line));
+        appends.forEach((id, i) => {
+          entries[id].row = start + i;
+          rows.push(line(id));
+        });
+      }
+      dirty.clear();
+    }
+  };
+
+  migrateLegacyCache_(type, cache, entries);
+  return cache;
+}
+
+/** Moves a pre-sheet Script Property cache blob into the cache tab. */
+function migrateLegacyCache_(type, cache, entries) {
+  const legacyKey = { team: TEAM_CACHE_KEY, customer: CUSTOMER_CACHE_KEY, booking: BOOKING_CACHE_KEY }[type];
+  if (!legacyKey) return;
+  const props = getScriptProps_();
+  const raw = props.getProperty(legacyKey);
+  if (!raw) return;
+
+  const legacy = JSON.parse(raw);
+  const paymentIdsByAppt = {};
+  let moved = 0;
+  Object.keys(legacy).forEach(id => {
+    const value = legacy[id];
+    if (!value || entries[id]) return;
+    if (type === 'booking' && typeof value === 'object') {
+      if (value.segments) cache.set(id, { segments: value.segments });
+      if (value.payment_ids) paymentIdsByAppt[id] = value.payment_ids;
+    } else {
+      cache.set(id, value);
+    }
+    moved++;
+  });
+  cache.flush();
+  if (Object.keys(paymentIdsByAppt).length) {
+    const payments = openCache_('booking_payments');
+    Object.keys(paymentIdsByAppt).forEach(id => payments.set(id, paymentIdsByAppt[id]));
+    payments.flush();
+  }
+  props.deleteProperty(legacyKey);
+  Logger.log(`Cache ${type}: moved ${moved} entries out of Script Property ${legacyKey}.`);
+}
+
+/**
+ * Every "_Cache" row, read from the sheet on the first call in a run (when
+ * expired CACHE_PRUNED_TYPES rows are deleted) and from memory after that.
+ */
+function readCacheRows_() {
+  if (CACHE_ROWS.rows && CACHE_ROWS.replay === SQUARE_REPLAY.spreadsheet) return CACHE_ROWS.rows;
+
+  const sheet = getCacheSheet_();
+  const last = sheet.getLastRow();
+  const rows = last > 1 ? sheet.getRange(2, 1, last - 1, CACHE_HEADERS.length).getValues() : [];
+  const nowMs = now_().getTime();
+  const expired = r => {
+    const ttlMs = (CACHE_TTL_DAYS[String(r[0])] || 0) * 86400000;
+    return CACHE_PRUNED_TYPES.includes(String(r[0])) && ttlMs && nowMs - (Number(r[3]) || 0) > ttlMs;
+  };
+  const kept = rows.filter(r => !expired(r));
+  if (kept.length < rows.length) {
+    sheet.getRange(2, 1, rows.length, CACHE_HEADERS.length).clearContent();
+    if (kept.length) sheet.getRange(2, 1, kept.length, CACHE_HEADERS.length).setValues(kept);
+    Logger.log(`Cache: removed ${rows.length - kept.length} expired ${CACHE_PRUNED_TYPES.join('/')} entries.`);
+  }
+
+  CACHE_ROWS.sheet = sheet;
+  CACHE_ROWS.rows = kept;
+  CACHE_ROWS.replay = SQUARE_REPLAY.spreadsheet;
+  return kept;
+}
+
+function getCacheSheet_() {
+  const sheet = getOrCreateSheet_(CACHE_TAB, CACHE_HEADERS);
+  if (!sheet.isSheetHidden()) sheet.hideSheet();
+  return sheet;
+}
+
+/** Drops every entry of one cache type (or all types when blank) so they are refetched. */
+function invalidateCache(type) {
+  const sheet = getCacheSheet_();
+  const last = sheet.getLastRow();
+  if (last < 2) {
+    Logger.log('Cache is already empty.');
+    return;
+  }
+  const range = sheet.getRange(2, 1, last - 1, CACHE_HEADERS.length);
+  const rows = range.getValues();
+  const kept = type ? rows.filter(r => String(r[0]) !== type) : [];
+  range.clearContent();
+  if (kept.length) sheet.getRange(2, 1, kept.length, CACHE_HEADERS.length).setValues(kept);
+  CACHE_ROWS.rows = null;
+  Logger.log(`Cache: removed ${rows.length - kept.length} ${type || 'cached'} entries.`);
+}
+
+/** Logs (and returns) entry counts, expired entries, age and size per cache type. */
+function showCacheStats() {
+  const rows = readCacheRows_();
+  const nowMs = now_().getTime();
+
+  const stats = {};
+  Object.keys(CACHE_TTL_DAYS).forEach(type => {
+    stats[type] = { entries: 0, expired: 0, oldest: null, chars: 0 };
+  });
+  rows.forEach(r => {
+    const type = String(r[0]);
+    const s = stats[type] = stats[type] || { entries: 0, expired: 0, oldest: null, chars: 0 };
+    const updatedAt = Number(r[3]) || 0;
+    const ttlMs = (CACHE_TTL_DAYS[type] || 0) * 86400000;
+    s.entries++;
+    s.chars += String(r[2]).length;
+    if (ttlMs && nowMs - updatedAt > ttlMs) s.expired++;
+    if (s.oldest === null || updatedAt < s.oldest) s.oldest = updatedAt;
+  });
+
+  const failures = readLookupFailures_();
+  Object.keys(stats).forEach(type => {
+    const s = stats[type];
+    const ttl = CACHE_TTL_DAYS[type] ? `${CACHE_TTL_DAYS[type]}d TTL` : 'no TTL';
+    const oldest = s.oldest ? formatDateShort_(new Date(s.oldest)) : '-';
+    const failed = Object.values(failures[type] || {}).filter(f => !f.resolved).length;
+    Logger.log(`${type}: ${s.entries} entries (${s.expired} expired, ${ttl}), oldest ${oldest}, ${s.chars} chars, ${failed} failed lookup(s)`);
+  });
+  return stats;
+}
@@ -0,0 +1,182 @@
+/*******************************
+ * Kinship Barbershop — Square catalog → "Menu of Services"
+ * One row per item variation, in the columns of MENU_HEADERS:
+ *   Item, Price, Variation, Product Type, Duration (min), Category,
+ *   Item ID, Variation ID, Status (New | Price Changed | Deleted | blank =
+ *   unchanged), Previous Price, Status Since
+ * Item and Price are always A:B, whatever their headers say, since the legacy
+ * processDataComplete() reads them there by item name. The other columns are
+ * found by header; any that are missing are added after the last header.
+ * Only these columns are written, so other columns and notes are left alone.
+ * An item's first variation is listed under the item's name; its other
+ * variations as "Item (Variation)", so each name has one price.
+ * The tab is never cleared. Square data is merged into the existing rows:
+ * by Variation ID, or by name for a row with no Variation ID yet (e.g. the
+ * hand-kept A:B rows). Rows Square doesn't know keep their price, and a
+ * variable-priced variation keeps the price on the sheet. New variations are
+ * added at the bottom.
+ * Status compares against the sheet as it was before this sync; rows for
+ * variations gone from Square are kept and marked Deleted.
+ * Run syncCatalogToMenu() by hand or from createDailyCatalogTrigger().
+ *******************************/
+
+const MENU_SHEET_NAME = 'Menu of Services';
+const MENU_HEADERS = [
+  'Item','Price','Variation','Product Type','Duration (min)','Category',
+  'Item ID','Variation ID','Status','Previous Price','Status Since'
+];
+
+/** Merges the Square catalog into "Menu of Services", marking new, re-priced and deleted variations. */
+function syncCatalogToMenu() {
+  const catalog = fetchCatalogVariations_();
+  const ss = getSpreadsheet_();
+  const sheet = ss.getSheetByName(MENU_SHEET_NAME) || ss.insertSheet(MENU_SHEET_NAME);
+  const col = menuColumns_(sheet);
+  const width = Math.max(sheet.getLastColumn(), 1);
+
+  const last = sheet.getLastRow();
+  const rows = last > 1 ? sheet.getRange(2, 1, last - 1, width).getValues() : [];
+  const byVariationId = {};
+  const unlinkedByName = {};
+  rows.forEach(r => {
+    const id = String(r[col['Variation ID']] || '').trim();
+    const name = String(r[col['Item']] || '').trim();
+    if (id) byVariationId[id] = r;
+    else if (name && !unlinkedByName[name]) unlinkedByName[name] = r;
+  });
+
+  const today = formatDateShort_(now_());
+  const counts = { New: 0, 'Price Changed': 0, Deleted: 0 };
+  const mark = (r, status, previousPrice) => {
+    r[col['Status']] = status;
+    r[col['Previous Price']] = previousPrice;
+    r[col['Status Since']] = status ? today : '';
+    if (status) counts[status]++;
+  };
+
+  const firstOfItem = new Set();
+  catalog.forEach(v => {
+    const name = firstOfItem.has(v.itemId) ? `${v.item} (${v.variation || v.variationId})` : v.item;
+    firstOfItem.add(v.itemId);
+
+    let r = byVariationId[v.variationId];
+    const linked = !!r;
+    if (!r && unlinkedByName[name]) {
+      r = unlinkedByName[name];
+      delete unlinkedByName[name];
+    }
+    const isNew = !r;
+    if (isNew) {
+      r = new Array(width).fill('');
+      rows.push(r);
+    }
+
+    const oldPrice = r[col['Price']];
+    const price = v.price === '' ? oldPrice : v.price;
+    if (isNew || (linked && r[col['Status']] === 'Deleted')) {
+      mark(r, 'New', isNew ? '' : oldPrice);
+    } else if (oldPrice !== '' && priceKey_(oldPrice) !== priceKey_(price)) {
+      mark(r, 'Price Changed', oldPrice);
+    } else {
+      mark(r, '', '');
+    }
+    [name, price, v.variation, v.productType, v.durationMin, v.category, v.itemId, v.variationId]
+      .forEach((value, i) => { r[col[MENU_HEADERS[i]]] = value; });
+  });
+
+  const seen = new Set(catalog.map(v => v.variationId));
+  Object.keys(byVariationId).filter(id => !seen.has(id)).forEach(id => {
+    const r = byVariationId[id];
+    if (r[col['Status']] !== 'Deleted') mark(r, 'Deleted', '');
+  });
+
+  if (rows.length) {
+    MENU_HEADERS.forEach(name => {
+      sheet.getRange(2, col[name] + 1, rows.length, 1).setValues(rows.map(r => [r[col[name]]]));
+    });
+    sheet.getRange(2, col['Price'] + 1, rows.length, 1).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, col['Previous Price'] + 1, rows.length, 1).setNumberFormat('$#,##0.00');
+  }
+
+  Logger.log(`Menu of Services: ${catalog.length} variations; ${counts.New} new, ${counts['Price Changed']} price changed, ${counts.Deleted} deleted.`);
+  return counts;
+}
+
+/**
+ * Finds the MENU_HEADERS columns on the sheet's header row (Item and Price are
+ * always A:B), adding any that are missing after the last header.
+ * Returns: { 'Item': 0, 'Price': 1, 'Variation': 0-based column, ... }
+ */
+function menuColumns_(sheet) {
+  const lastCol = sheet.getLastColumn();
+  const header = lastCol ? sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(v => String(v).trim()) : [];
+  const col = {};
+  const added = [];
+  MENU_HEADERS.forEach((name, i) => {
+    let at = i < 2 ? i : header.indexOf(name);
+    if (at < 0) at = header.length;
+    if (!header[at]) {
+      header[at] = name;
+      added.push(at);
+    }
+    col[name] = at;
+  });
+  added.forEach(at => sheet.getRange(1, at + 1).setValue(header[at]).setFontWeight('bold'));
+  if (added.length) sheet.setFrozenRows(1);
+  return col;
+}
+
+/**
+ * Every item variation in the Square catalog.
+ * Returns: [{ item, itemId, variation, variationId, price ('' when variable), productType, durationMin, category }]
+ */
+function fetchCatalogVariations_() {
+  const items = {};
+  const variations = {};
+  const categories = {};
+  let cursor = null;
+  do {
+    const params = { types: 'ITEM,ITEM_VARIATION,CATEGORY' };
+    if (cursor) params.cursor = cursor;
+    const res = squareGet_('/catalog/list', params);
+    (res.objects || []).forEach(obj => {
+      if (obj.is_deleted) return;
+      if (obj.type === 'CATEGORY' && obj.category_data) categories[obj.id] = obj.category_data.name || '';
+      if (obj.type === 'ITEM' && obj.item_data) {
+        items[obj.id] = obj;
+        (obj.item_data.variations || []).forEach(v => { variations[v.id] = v; });
+      }
+      if (obj.type === 'ITEM_VARIATION' && obj.item_variation_data) variations[obj.id] = obj;
+    });
+    cursor = res.cursor || null;
+  } while (cursor);
+
+  return Object.values(variations)
+    .filter(v => !v.is_deleted && items[v.item_variation_data.item_id])
+    .map(v => {
+      const data = v.item_variation_data;
+      const item = items[data.item_id].item_data;
+      const categoryId = (item.reporting_category && item.reporting_category.id)
+        || (item.categories && item.categories[0] && item.categories[0].id)
+        || item.category_id || '';
+      return {
+        item: item.name || '',
+        itemId: data.item_id,
+        variation: data.name || '',
+        variationId: v.id,
+        price: data.price_money ? data.price_money.amount / 100 : '',
+        productType: item.product_type || '',
+        durationMin: data.service_duration ? Math.round(data.service_duration / 60000) : '',
+        category: categories[categoryId] || ''
+      };
+    });
+}
+
+function priceKey_(v) {
+  return v === '' || v === null || v === undefined ? '' : String(round2_(toNumber_(v)));
+}
+
+// Optional trigger
+function createDailyCatalogTrigger() {
+  ScriptApp.newTrigger('syncCatalogToMenu').timeBased().everyDays(1).atHour(5).create();
+}
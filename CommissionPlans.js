@@ -0,0 +1,93 @@
+/*******************************
+ * Kinship Barbershop — tiered commission plans and minimum guarantees
+ * Plan table: sheet "Commission Plans" (one row per tier)
+ *   A: Person (as in "Commission Rates")
+ *   B: Plan Type: marginal | retroactive
+ *   C: Tier From — pay-period service sales at which this tier starts ($)
+ *   D: Service Rate for the tier
+ *   E: Minimum Guarantee ($, optional)
+ *   F: Guarantee Per: week | period (default period)
+ * Per-transaction rows keep the flat "Commission Rates" rate; the plan is
+ * applied to each staff member's pay-period totals in the "Payroll" tab as a
+ * Plan True-Up, and the guarantee as a Guarantee Top-Up once the period closes.
+ *******************************/
+
+const PLANS_SHEET_NAME = 'Commission Plans';
+
+/**
+ * Read "Commission Plans".
+ * Returns: { 'Person': { type, tiers: [{from, rate}] (ascending), guarantee, guaranteePer } }
+ */
+function readCommissionPlans_() {
+  const sh = getSpreadsheet_().getSheetByName(PLANS_SHEET_NAME);
+  const plans = {};
+  if (!sh || sh.getLastRow() < 2) return plans;
+
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, 6).getValues(); // A:F
+  values.forEach(r => {
+    const name = String(r[0] || '').trim();
+    if (!name) return;
+    const plan = plans[name] = plans[name] || { type: 'marginal', tiers: [], guarantee: 0, guaranteePer: 'period' };
+
+    const type = String(r[1] || '').trim().toLowerCase();
+    if (type === 'marginal' || type === 'retroactive') plan.type = type;
+    if (r[3] !== '' && r[3] !== null) {
+      plan.tiers.push({ from: toNumber_(r[2]), rate: normalizeRate_(r[3]) });
+    }
+    if (toNumber_(r[4])) plan.guarantee = toNumber_(r[4]);
+    if (String(r[5] || '').trim().toLowerCase() === 'week') plan.guaranteePer = 'week';
+  });
+
+  Object.values(plans).forEach(p => p.tiers.sort((a, b) => a.from - b.from));
+  return plans;
+}
+
+/**
+ * Service commission a plan pays on a pay period's service sales.
+ * marginal: each tier's rate applies only to the sales inside that tier.
+ * retroactive: the highest tier reached applies to all sales.
+ */
+function planServiceCommission_(plan, serviceSales) {
+  const tiers = plan.tiers;
+  if (!tiers.length || serviceSales <= 0) return 0;
+
+  if (plan.type === 'retroactive') {
+    let rate = 0;
+    tiers.forEach(t => { if (serviceSales >= t.from) rate = t.rate; });
+    return serviceSales * rate;
+  }
+
+  return tiers.reduce((sum, t, i) => {
+    const upper = i + 1 < tiers.length ? tiers[i + 1].from : Infinity;
+    const inTier = Math.max(0, Math.min(serviceSales, upper) - t.from);
+    return sum + inTier * t.rate;
+  }, 0);
+}
+
+/** Minimum guarantee for one pay period, converting a weekly guarantee to the period length. */
+function planGuaranteeForPeriod_(plan, period) {
+  if (!plan.guarantee) return 0;
+  if (plan.guaranteePer !== 'week') return plan.guarantee;
+  const days = Math.round((period.end - period.start) / 86400000) + 1;
+  return plan.guarantee * days / 7;
+}
+
+/**
+ * Plan adjustments for one staff member's pay-period totals.
+ * serviceSales / serviceCommission / productCommission are the period sums of
+ * the per-transaction rows. The guarantee only tops up periods that have ended.
+ * Returns: { trueUp, topUp }
+ */
+function applyCommissionPlan_(plan, period, serviceSales, serviceCommission, productCommission) {
+  if (!plan) return { trueUp: 0, topUp: 0 };
+  const trueUp = plan.tiers.length ? planServiceCommission_(plan, serviceSales) - serviceCommission : 0;
+
+  let topUp = 0;
+  const today = now_();
+  const closed = period.end < new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  if (closed) {
+    const earned = serviceCommission + trueUp + productCommission;
+    topUp = Math.max(0, planGuaranteeForPeriod_(plan, period) - earned);
+  }
+  return { trueUp: round2_(trueUp), topUp: round2_(topUp) };
+}
@@ -0,0 +1,159 @@
+/*******************************
+ * Kinship Barbershop — "Exceptions" tab
+ * Every sync checks the payments it processed against these rules and lists
+ * what it finds, one row per payment, rule and staff member:
+ *   MISSING_STAFF         no team member on the booking, payment or order
+ *   NO_RATE               a staff member with no "Commission Rates" row in effect
+ *   NEGATIVE_NET          Net Business Take below zero (the whole order's, for split tender)
+ *   HIGH_TIP              tip above EXCEPTION_RULES.maxTipPercent of the amount before tip
+ *   UNKNOWN_PRODUCT_TYPE  line items the catalog gives no product_type (custom amounts, deleted items)
+ *   ZERO_PRICE_SERVICE    service lines rung up at $0
+ *   NO_ORDER              payment with no order, so no sales or commission
+ * Columns: Detected, PaymentID, Time & Date, Staff Name, Rule, Details, Suggested Fix, Resolved, Cleared
+ * Resolved is for people: put anything in it (e.g. "Yes" or a note) and that
+ * exception is never listed again. The sync only writes Cleared, with the date
+ * a later sync of that payment no longer found the exception; if it turns up
+ * again, Cleared is emptied and the row is open once more. Open rows (neither
+ * Resolved nor Cleared) are kept at the top.
+ *******************************/
+
+const EXCEPTIONS_TAB = 'Exceptions';
+const EXCEPTIONS_HEADERS = [
+  'Detected','PaymentID','Time & Date','Staff Name','Rule','Details','Suggested Fix','Resolved','Cleared'
+];
+
+const EXCEPTION_RULES = {
+  maxTipPercent: 0.5 // 50% of the amount paid before the tip
+};
+
+/**
+ * Exceptions for one payment's "Processed" row (row in HEADERS order, lines
+ * from attributeLineItems_).
+ * Returns: [{ paymentId, time, staff, rule, details, fix }]
+ */
+function detectExceptions_(payment, order, row, lines, commissionData) {
+  const col = headerIndex_(HEADERS);
+  const paymentId = row[col['PaymentID']];
+  const staff = row[col['Staff Name']];
+  const found = [];
+  const add = (rule, details, fix, who) => found.push({
+    paymentId, time: row[col['Time & Date']], staff: who === undefined ? staff : who, rule, details, fix
+  });
+
+  if (String(row[col['Flags']]).split(', ').includes('STAFF_MISSING')) {
+    const apptId = extractAppointmentIdFromOrder_(order);
+    add('MISSING_STAFF',
+      `No team member on the ${apptId ? `booking ${apptId}, ` : ''}payment or order`,
+      'Assign the barber to the booking or payment in Square, then re-sync (or backfill that day)');
+  }
+
+  const paidAt = new Date(payment.created_at || payment.updated_at || Date.now());
+  const idsByName = {};
+  [[staff, row[col['Team Member ID']]]].concat(lines.map(l => [l.staffName, l.teamMemberId])).forEach(([name, id]) => {
+    if (name && !(name in idsByName)) idsByName[name] = id;
+  });
+  Object.keys(idsByName).forEach(name => {
+    if (rateInEffect_(staffRateHistory_(commissionData, idsByName[name], name), paidAt, payment.location_id)) return;
+    add('NO_RATE', `${name} has no "Commission Rates" row in effect on ${formatDateShort_(paidAt)}; paid at the default rate`,
+      `Add or extend a row for ${name} on "Commission Rates"`, name);
+  });
+
+  // Split tender: the primary row carries the whole order's commission but only
+  // its own Amount Paid, so the net is checked for the order there (the other
+  // tenders add their amount less tip) and not on the other tenders' rows
+  const tenders = (order && order.tenders) || [];
+  const isSplitTender = orderTenderPaymentIds_(order).length > 1;
+  const money = m => (m && typeof m.amount === 'number') ? m.amount / 100 : 0;
+  const net = round2_(toNumber_(row[col['Net Business Take']]) + (!isSplitTender ? 0 : tenders
+    .filter(t => (t.payment_id || t.id) !== paymentId)
+    .reduce((sum, t) => sum + money(t.amount_money) - money(t.tip_money), 0)));
+  if (net < 0 && (!isSplitTender || primaryTenderPaymentId_(order, payment) === paymentId)) {
+    add('NEGATIVE_NET', `${isSplitTender ? 'Order ' : ''}Net Business Take is ${net.toFixed(2)}`,
+      'Check the commission rates, discounts and fee policy applied to this ticket');
+  }
+
+  const tips = toNumber_(row[col['Tips']]);
+  const beforeTip = toNumber_(row[col['Amount Paid']]) - tips;
+  if (tips > 0 && beforeTip > 0 && tips > beforeTip * EXCEPTION_RULES.maxTipPercent) {
+    add('HIGH_TIP', `Tip $${tips.toFixed(2)} is ${Math.round(tips / beforeTip * 100)}% of $${beforeTip.toFixed(2)}`,
+      'Confirm the tip with the barber; refund the difference in Square if it was keyed in error');
+  }
+
+  const unknown = unique_(lines.filter(l => !l.productType && !l.isGiftCard).map(l => l.name || '(custom amount)'));
+  if (unknown.length) {
+    add('UNKNOWN_PRODUCT_TYPE', `No catalog product type for: ${unknown.join(', ')}; counted as product sales`,
+      'Ring these up as catalog items, or set the item type in the Square catalog');
+  }
+
+  const zero = unique_(lines.filter(l => l.isService && !l.gross).map(l => l.name));
+  if (zero.length) {
+    add('ZERO_PRICE_SERVICE', `Rung up at $0: ${zero.join(', ')}`,
+      'Check the price on "Menu of Services"; mark resolved if it was a comp');
+  }
+
+  if (!payment.order_id || !order) {
+    add('NO_ORDER', payment.order_id ? `Order ${payment.order_id} could not be fetched` : 'Payment has no order',
+      'Sales and commission are blank; enter them by hand or re-ring the sale against an order');
+  }
+  return found;
+}
+
+/**
+ * Merges this run's exceptions into the "Exceptions" tab. paymentIds are the
+ * payments checked this run; their open rows not found again are marked
+ * Cleared, and cleared rows found again are reopened.
+ */
+function writeExceptions_(found, paymentIds) {
+  const ss = getSpreadsheet_();
+  if (!found.length && !ss.getSheetByName(EXCEPTIONS_TAB)) return;
+
+  const sheet = getOrCreateSheet_(EXCEPTIONS_TAB, EXCEPTIONS_HEADERS);
+  const col = headerIndex_(EXCEPTIONS_HEADERS);
+  const last = sheet.getLastRow();
+  const rows = last > 1 ? sheet.getRange(2, 1, last - 1, EXCEPTIONS_HEADERS.length).getValues() : [];
+  const keyOf = (paymentId, rule, staff) => `${paymentId}|${rule}|${staff}`;
+  const byKey = {};
+  rows.forEach(r => { byKey[keyOf(r[col['PaymentID']], r[col['Rule']], r[col['Staff Name']])] = r; });
+
+  const now = now_();
+  const detected = formatDateTime_(now.toISOString());
+  const isResolved = r => !!String(r[col['Resolved']]).trim();
+  const isCleared = r => !!String(r[col['Cleared']]).trim();
+  const seen = new Set();
+  let added = 0;
+  let reopened = 0;
+  found.forEach(e => {
+    const key = keyOf(e.paymentId, e.rule, e.staff);
+    seen.add(key);
+    const existing = byKey[key];
+    if (!existing) {
+      rows.push([detected, e.paymentId, e.time, e.staff, e.rule, e.details, e.fix, '', '']);
+      added++;
+    } else if (!isResolved(existing)) {
+      existing[col['Details']] = e.details;
+      existing[col['Suggested Fix']] = e.fix;
+      if (isCleared(existing)) {
+        existing[col['Cleared']] = '';
+        reopened++;
+      }
+    }
+  });
+
+  const checked = new Set(paymentIds.map(String));
+  let cleared = 0;
+  rows.forEach(r => {
+    if (isResolved(r) || isCleared(r) || !checked.has(String(r[col['PaymentID']]))) return;
+    if (seen.has(keyOf(r[col['PaymentID']], r[col['Rule']], r[col['Staff Name']]))) return;
+    r[col['Cleared']] = formatDateShort_(now);
+    cleared++;
+  });
+
+  // Open first, newest first within each
+  const open = r => !isResolved(r) && !isCleared(r);
+  const when = r => (parseSheetDate_(r[col['Detected']]) || new Date(0)).getTime();
+  rows.sort((a, b) => (open(b) - open(a)) || (when(b) - when(a)));
+
+  if (rows.length) sheet.getRange(2, 1, rows.length, EXCEPTIONS_HEADERS.length).setValues(rows);
+  sheet.getRange(1, 1, 1, EXCEPTIONS_HEADERS.length).setFontWeight('bold');
+  Logger.log(`Exceptions: ${added} new, ${reopened} reopened, ${cleared} cleared, ${rows.filter(open).length} open.`);
+}
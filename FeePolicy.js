@@ -0,0 +1,58 @@
+/*******************************
+ * Kinship Barbershop — processing-fee sharing policy
+ * Policy table: sheet "Fee Policy"
+ *   A: Person (as in "Commission Rates"; * = everyone without their own row)
+ *   B: Share % of the processing fee the staff member bears
+ *   C: Applies To: tips | services | ticket (default ticket)
+ *   D: Cash Exempt: Yes/No
+ * Staff not covered by the sheet bear no fee. The legacy 50/50 split is
+ * "* | 50% | ticket | No".
+ *******************************/
+
+const FEE_POLICY_SHEET_NAME = 'Fee Policy';
+const FEE_POLICY_DEFAULT_KEY = '*';
+
+/**
+ * Read "Fee Policy".
+ * Returns: { 'Person': { share: 0.x, appliesTo: 'tips'|'services'|'ticket', cashExempt: bool }, ... }
+ */
+function readFeePolicy_() {
+  const sh = getSpreadsheet_().getSheetByName(FEE_POLICY_SHEET_NAME);
+  const policy = {};
+  if (!sh || sh.getLastRow() < 2) return policy;
+
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, 4).getValues(); // A:D
+  values.forEach(r => {
+    const name = String(r[0] || '').trim();
+    if (!name) return;
+    const appliesTo = String(r[2] || '').trim().toLowerCase();
+    policy[name] = {
+      share: normalizeRate_(r[1]),
+      appliesTo: ['tips', 'services', 'ticket'].includes(appliesTo) ? appliesTo : 'ticket',
+      cashExempt: isYes_(r[3])
+    };
+  });
+  return policy;
+}
+
+/**
+ * Staff share of a payment's processing fee under the policy for the staff
+ * member (staffKeys: their names from staffKeys_).
+ * For tips/services, only that part of Amount Paid carries the fee share.
+ */
+function computeStaffProcessingFee_(feePolicyByPerson, staffKeys, payment, t) {
+  const policy = staffEntry_(feePolicyByPerson || {}, staffKeys || []) || (feePolicyByPerson || {})[FEE_POLICY_DEFAULT_KEY];
+  if (!policy || !policy.share || !t.processingFee || t.amountPaid <= 0) return 0;
+  if (policy.cashExempt && payment.source_type === 'CASH') return 0;
+
+  let portion = 1;
+  if (policy.appliesTo === 'tips') portion = t.tips / t.amountPaid;
+  if (policy.appliesTo === 'services') portion = t.serviceSales / t.amountPaid;
+  return round2_(t.processingFee * Math.min(1, Math.max(0, portion)) * policy.share);
+}
+
+function isYes_(v) {
+  if (v === true) return true;
+  const s = String(v || '').trim().toLowerCase();
+  return s === 'yes' || s === 'y' || s === 'true' || s === 'x';
+}
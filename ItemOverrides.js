@@ -0,0 +1,70 @@
+/*******************************
+ * Kinship Barbershop — item commission overrides
+ * Override table: sheet "Item Commission Overrides"
+ *   A: Catalog ID (Square item or variation ID)
+ *   B: Item (for reference)
+ *   C: Type: Service/Product (for reference)
+ *   D: Person (as in "Commission Rates"; blank = everyone)
+ *   E: Rate % (blank = no override)
+ * Applied per order line, before the staff member's own rate. A variation
+ * row beats an item row, and a row for the person beats the everyone row.
+ * Every catalog item the sync sees is added (with a blank rate) so the
+ * sheet lists what can be overridden; copy a row to add a per-person rate.
+ *******************************/
+
+const ITEM_OVERRIDES_SHEET_NAME = 'Item Commission Overrides';
+const ITEM_OVERRIDES_HEADERS = ['Catalog ID','Item','Type','Person','Rate %'];
+
+/**
+ * Read "Item Commission Overrides".
+ * Returns: { 'catalog id': { 'Person' | '': rate, ... }, ... } (rows with a blank rate are left out)
+ */
+function readItemOverrides_() {
+  const sh = getSpreadsheet_().getSheetByName(ITEM_OVERRIDES_SHEET_NAME);
+  const overrides = {};
+  if (!sh || sh.getLastRow() < 2) return overrides;
+
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, 5).getValues(); // A:E
+  values.forEach(r => {
+    const id = String(r[0] || '').trim();
+    if (!id || String(r[4]).trim() === '') return;
+    const person = String(r[3] || '').trim();
+    (overrides[id] = overrides[id] || {})[person] = normalizeRate_(r[4]);
+  });
+  return overrides;
+}
+
+/**
+ * The override rate for one line (variation, then item; person, then everyone), or null.
+ * staffKeys: the staff member's names from staffKeys_.
+ */
+function itemOverrideRate_(overrides, variationId, itemId, staffKeys) {
+  for (const id of [variationId, itemId]) {
+    const byPerson = id && overrides[id];
+    if (!byPerson) continue;
+    const own = staffEntry_(byPerson, staffKeys || []);
+    if (own !== undefined) return own;
+    if (byPerson[''] !== undefined) return byPerson[''];
+  }
+  return null;
+}
+
+/** Adds one row per catalog item not yet on the sheet (blank rate, so nothing changes). */
+function addCatalogItemsToOverrides_(catalogInfo) {
+  const items = {};
+  Object.values(catalogInfo.variationToItem).forEach(info => {
+    if (info.item_id) items[info.item_id] = info;
+  });
+  if (!Object.keys(items).length) return;
+
+  const sheet = getOrCreateSheet_(ITEM_OVERRIDES_SHEET_NAME, ITEM_OVERRIDES_HEADERS);
+  const known = new Set(Object.keys(buildExistingIndex_(sheet, 1)));
+  const added = Object.keys(items)
+    .filter(id => !known.has(id))
+    .map(id => [id, items[id].item_name || '', items[id].product_type === 'APPOINTMENTS_SERVICE' ? 'Service' : 'Product', '', '']);
+  if (!added.length) return;
+
+  sheet.getRange(sheet.getLastRow() + 1, 1, added.length, ITEM_OVERRIDES_HEADERS.length).setValues(added);
+  sheet.getRange(1, 1, 1, ITEM_OVERRIDES_HEADERS.length).setFontWeight('bold');
+  Logger.log(`Item Commission Overrides: added ${added.length} catalog item(s).`);
+}
@@ -0,0 +1,65 @@
+/*******************************
+ * Kinship Barbershop — shop locations
+ * Location table: sheet "Locations"
+ *   A: Square Location ID
+ *   B: Name (shown in the "Location" column and in Payroll)
+ *   C: Sync: Yes/No (blank = Yes)
+ * With no sheet (or no rows) every location is synced, unfiltered.
+ * refreshLocationsList() adds any Square location missing from the sheet.
+ * "Commission Rates" column G can name a location (ID or name) so a barber
+ * working both shops can have a different rate at each.
+ *******************************/
+
+const LOCATIONS_SHEET_NAME = 'Locations';
+const LOCATIONS_HEADERS = ['Location ID','Name','Sync'];
+
+/**
+ * Read "Locations".
+ * Returns: { syncIds: ['L1', ...] ([] = all locations), nameById: { id: name }, idByName: { 'lower name': id } }
+ */
+function readLocations_() {
+  const sh = getSpreadsheet_().getSheetByName(LOCATIONS_SHEET_NAME);
+  const locations = { syncIds: [], nameById: {}, idByName: {} };
+  if (!sh || sh.getLastRow() < 2) return locations;
+
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, 3).getValues(); // A:C
+  values.forEach(r => {
+    const id = String(r[0] || '').trim();
+    if (!id) return;
+    const name = String(r[1] || '').trim() || id;
+    locations.nameById[id] = name;
+    locations.idByName[name.toLowerCase()] = id;
+    if (String(r[2] || '').trim() === '' || isYes_(r[2])) locations.syncIds.push(id);
+  });
+  return locations;
+}
+
+/** Adds every Square location not yet on the "Locations" sheet (synced by default). */
+function refreshLocationsList() {
+  const sheet = getOrCreateSheet_(LOCATIONS_SHEET_NAME, LOCATIONS_HEADERS);
+  const known = readLocations_().nameById;
+  const res = squareGet_('/locations');
+  const added = (res.locations || [])
+    .filter(l => l.id && !known[l.id])
+    .map(l => [l.id, l.name || l.id, l.status === 'INACTIVE' ? 'No' : 'Yes']);
+  if (added.length) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, added.length, LOCATIONS_HEADERS.length).setValues(added);
+  }
+  sheet.getRange(1, 1, 1, LOCATIONS_HEADERS.length).setFontWeight('bold');
+  Logger.log(`Locations: added ${added.length} location(s).`);
+}
+
+function locationName_(locations, locationId) {
+  return (locationId && locations.nameById[locationId]) || locationId || '';
+}
+
+/** A location written as an ID or a name (as on "Locations") → location ID; blank stays blank. */
+function resolveLocationId_(locations, value) {
+  const v = String(value || '').trim();
+  if (!v || locations.nameById[v]) return v;
+  return locations.idByName[v.toLowerCase()] || v;
+}
+
+function isSyncedLocation_(locations, locationId) {
+  return !locations.syncIds.length || locations.syncIds.includes(locationId);
+}
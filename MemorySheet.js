@@ -0,0 +1,180 @@
+/*******************************
+ * Kinship Barbershop — in-memory spreadsheet stand-in
+ * Implements the parts of SpreadsheetApp's Spreadsheet / Sheet / Range that
+ * the sync uses, so the whole pipeline can run without touching the real
+ * workbook (see Replay.js). Values are kept exactly as written; formatting
+ * calls are accepted and ignored.
+ *******************************/
+
+/**
+ * initialSheets: { 'Sheet Name': [[row1...], [row2...]], ... }
+ */
+function createMemorySpreadsheet_(initialSheets) {
+  const sheets = [];
+  const ss = {
+    getName: () => 'Memory',
+    getId: () => 'memory',
+    getSheets: () => sheets.slice(),
+    getSheetByName: name => sheets.find(s => s.getName() === name) || null,
+    insertSheet: name => {
+      const sheet = createMemorySheet_(name || `Sheet${sheets.length + 1}`, []);
+      sheets.push(sheet);
+      return sheet;
+    },
+    deleteSheet: sheet => {
+      const i = sheets.indexOf(sheet);
+      if (i >= 0) sheets.splice(i, 1);
+    }
+  };
+  Object.keys(initialSheets || {}).forEach(name => {
+    sheets.push(createMemorySheet_(name, initialSheets[name]));
+  });
+  return ss;
+}
+
+function createMemorySheet_(name, initialValues) {
+  const data = (initialValues || []).map(r => r.slice());
+  let sheetName = name;
+  let hidden = false;
+
+  const isBlank = v => v === '' || v === null || v === undefined;
+
+  const sheet = {
+    getName: () => sheetName,
+    setName: n => { sheetName = n; return sheet; },
+    getLastRow: () => {
+      for (let r = data.length - 1; r >= 0; r--) {
+        if ((data[r] || []).some(v => !isBlank(v))) return r + 1;
+      }
+      return 0;
+    },
+    getLastColumn: () => {
+      let last = 0;
+      data.forEach(row => (row || []).forEach((v, c) => { if (!isBlank(v) && c + 1 > last) last = c + 1; }));
+      return last;
+    },
+    getMaxRows: () => Math.max(1000, data.length),
+    getMaxColumns: () => Math.max(26, ...data.map(r => (r || []).length)),
+    getRange: (a, b, c, d) => {
+      if (typeof a === 'string') {
+        const ref = parseA1_(a);
+        return createMemoryRange_(sheet, data, ref.row, ref.col, ref.numRows, ref.numCols);
+      }
+      return createMemoryRange_(sheet, data, a, b, c || 1, d || 1);
+    },
+    getRangeList: refs => ({ getRanges: () => refs.map(ref => sheet.getRange(ref)) }),
+    getDataRange: () => sheet.getRange(1, 1, Math.max(1, sheet.getLastRow()), Math.max(1, sheet.getLastColumn())),
+    clear: () => { data.length = 0; return sheet; },
+    clearContents: () => { data.length = 0; return sheet; },
+    deleteRow: n => { data.splice(n - 1, 1); return sheet; },
+    deleteRows: (n, count) => { data.splice(n - 1, count); return sheet; },
+    insertColumnsAfter: (col, count) => {
+      data.forEach(row => { if (row && row.length > col) row.splice(col, 0, ...new Array(count).fill('')); });
+      return sheet;
+    },
+    deleteColumn: col => {
+      data.forEach(row => { if (row) row.splice(col - 1, 1); });
+      return sheet;
+    },
+    copyTo: spreadsheet => {
+      const copy = spreadsheet.insertSheet(`Copy of ${sheetName}`);
+      const width = sheet.getLastColumn();
+      if (data.length && width) copy.getRange(1, 1, data.length, width).setValues(sheet.getRange(1, 1, data.length, width).getValues());
+      return copy;
+    },
+    hideSheet: () => { hidden = true; return sheet; },
+    showSheet: () => { hidden = false; return sheet; },
+    isSheetHidden: () => hidden,
+    setFrozenRows: () => sheet,
+    autoResizeColumns: () => sheet,
+    setColumnWidth: () => sheet
+  };
+  return sheet;
+}
+
+function createMemoryRange_(sheet, data, row, col, numRows, numCols) {
+  const range = {
+    getRow: () => row,
+    getColumn: () => col,
+    getNumRows: () => numRows,
+    getNumColumns: () => numCols,
+    getSheet: () => sheet,
+    getValues: () => {
+      const out = [];
+      for (let r = 0; r < numRows; r++) {
+        const src = data[row - 1 + r] || [];
+        const line = [];
+        for (let c = 0; c < numCols; c++) {
+          const v = src[col - 1 + c];
+          line.push(v === undefined || v === null ? '' : v);
+        }
+        out.push(line);
+      }
+      return out;
+    },
+    getValue: () => range.getValues()[0][0],
+    getFormulas: () => range.getValues().map(line => line.map(() => '')), // values only; no formulas kept
+    setValues: values => {
+      if (values.length !== numRows || values.some(v => v.length !== numCols)) {
+        throw new Error(`The number of rows or columns in the data does not match the range (${numRows}x${numCols}).`);
+      }
+      values.forEach((line, r) => {
+        const target = data[row - 1 + r] = data[row - 1 + r] || [];
+        line.forEach((v, c) => { target[col - 1 + c] = v; });
+      });
+      return range;
+    },
+    setValue: v => range.setValues([[v]]),
+    clear: () => range.clearContent(),
+    clearContent: () => {
+      for (let r = 0; r < numRows; r++) {
+        const target = data[row - 1 + r];
+        if (!target) continue;
+        for (let c = 0; c < numCols; c++) {
+          if (col - 1 + c < target.length) target[col - 1 + c] = '';
+        }
+      }
+      return range;
+    },
+    sort: spec => {
+      const specs = (Array.isArray(spec) ? spec : [spec])
+        .map(s => typeof s === 'number' ? { column: s, ascending: true } : s);
+      const rows = range.getValues();
+      const cmp = (a, b) => {
+        if (a instanceof Date) a = a.getTime();
+        if (b instanceof Date) b = b.getTime();
+        if (a === b) return 0;
+        if (a === '') return 1;
+        if (b === '') return -1;
+        return a < b ? -1 : 1;
+      };
+      rows.sort((x, y) => {
+        for (const s of specs) {
+          const c = cmp(x[s.column - col], y[s.column - col]);
+          if (c) return s.ascending === false ? -c : c;
+        }
+        return 0;
+      });
+      range.setValues(rows);
+      return range;
+    },
+    setNumberFormat: () => range,
+    setBackground: () => range,
+    setFontWeight: () => range,
+    setFontColor: () => range,
+    setNote: () => range
+  };
+  return range;
+}
+
+/** 'B3:D7' / 'A5' -> { row, col, numRows, numCols } */
+function parseA1_(a1) {
+  const m = String(a1).toUpperCase().match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+  if (!m) throw new Error(`Unsupported A1 reference: ${a1}`);
+  const colNum = letters => letters.split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+  const row = +m[2];
+  const col = colNum(m[1]);
+  const endRow = m[4] ? +m[4] : row;
+  const endCol = m[3] ? colNum(m[3]) : col;
+  return { row, col, numRows: endRow - row + 1, numCols: endCol - col + 1 };
+}
@@ -0,0 +1,193 @@
+/*******************************
+ * Kinship Barbershop — Square payouts → "Payouts" reconciliation
+ *   reconcilePayouts('2025-10-01', '2025-10-15')
+ * Pulls the Square payouts sent between the two dates (inclusive, plus
+ * PAYOUT_SETTLE_DAYS so payments near the end have time to settle) for the
+ * synced locations, and every entry in them, then rewrites the "Payouts" tab.
+ * Each payout gets a PAYOUT row followed by its entries:
+ *   - CHARGE entries match the payment's PaymentID in "Processed", REFUND
+ *     entries the refund's row; Gross must equal Amount Paid and Fee the
+ *     Processing Fee (flags AMOUNT_MISMATCH / FEE_MISMATCH)
+ *   - anything else (adjustments, Square fees, entries with no row) is UNMATCHED
+ *   - Variance = Net − (Processed Amount − Processed Fee); the whole Net when unmatched
+ * The PAYOUT row's Variance totals its entries; PAYOUT_TOTAL_MISMATCH means
+ * the entries don't add up to the amount deposited.
+ * Card and wallet payments in "Processed" dated in the range that no payout
+ * covers are listed at the end as NOT_PAID_OUT.
+ *******************************/
+
+const PAYOUTS_TAB = 'Payouts';
+const PAYOUT_SETTLE_DAYS = 3;
+const PAYOUT_TENDER_TYPES = ['Card','Wallet']; // tenders Square deposits; cash and gift cards never appear in a payout
+const PAYOUTS_HEADERS = [
+  'Payout ID','Arrival Date','Status','Location','Entry Type','Effective At','PaymentID','Row Type',
+  'Gross','Fee','Net','Processed Amount','Processed Fee','Variance','Flags'
+];
+
+/**
+ * Reconciles the payouts for startDate – endDate ('YYYY-MM-DD', 'M/D/YYYY' or Date).
+ * Returns: { payouts, entries, flagged, variance }
+ */
+function reconcilePayouts(startDate, endDate) {
+  const start = parseBackfillDate_(startDate);
+  const end = parseBackfillDate_(endDate);
+  if (!start || !end || end < start) {
+    throw new Error(`Payouts: invalid range ${startDate} – ${endDate}.`);
+  }
+  const endExclusive = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+  const fetchEnd = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1 + PAYOUT_SETTLE_DAYS);
+
+  const locations = readLocations_();
+  const processed = readProcessedAmounts_();
+  const paidOut = new Set();
+  const rows = [];
+  const totals = { payouts: 0, entries: 0, flagged: 0, variance: 0 };
+
+  (locations.syncIds.length ? locations.syncIds : ['']).forEach(locationId => {
+    fetchPayouts_(start.toISOString(), fetchEnd.toISOString(), locationId).forEach(payout => {
+      const entryRows = fetchPayoutEntries_(payout.id).map(entry => {
+        const row = reconcilePayoutEntry_(payout, entry, processed, locations);
+        if (row.paymentId) paidOut.add(row.paymentId);
+        return row;
+      });
+      const money = m => (m && typeof m.amount === 'number') ? m.amount / 100 : 0;
+      const amount = money(payout.amount_money);
+      const entriesNet = round2_(entryRows.reduce((a, r) => a + r.values[10], 0));
+      const variance = round2_(entryRows.reduce((a, r) => a + r.values[13], 0));
+      const flagged = entryRows.filter(r => r.values[14]).length;
+      const flags = [
+        round2_(amount - entriesNet) ? 'PAYOUT_TOTAL_MISMATCH' : '',
+        flagged ? `${flagged} flagged entr${flagged === 1 ? 'y' : 'ies'}` : ''
+      ].filter(Boolean).join(', ');
+
+      rows.push([payout.id, payout.arrival_date || '', payout.status || '', locationName_(locations, payout.location_id),
+        'PAYOUT', formatDateTime_(payout.created_at), '', '', '', '', amount, '', '', variance, flags]);
+      entryRows.forEach(r => rows.push(r.values));
+      totals.payouts++;
+      totals.entries += entryRows.length;
+      totals.flagged += flagged;
+      totals.variance += variance;
+    });
+  });
+
+  // Deposited tenders in the range that no payout has covered yet
+  Object.keys(processed).forEach(paymentId => {
+    const p = processed[paymentId];
+    if (p.rowType !== 'Payment' || !PAYOUT_TENDER_TYPES.includes(p.tenderType) || paidOut.has(paymentId)) return;
+    if (!p.when || p.when < start || p.when >= endExclusive) return;
+    if (PAYROLL_EXCLUDED_STATUSES.includes(p.status)) return;
+    totals.flagged++;
+    rows.push(['', '', '', p.location, 'NOT PAID OUT', formatDateTime_(p.when), paymentId, p.rowType,
+      '', '', '', p.amount, p.fee, '', 'NOT_PAID_OUT']);
+  });
+
+  writePayoutsTab_(rows);
+  totals.variance = round2_(totals.variance);
+  Logger.log(`Payouts: ${totals.payouts} payout(s), ${totals.entries} entries, ${totals.flagged} flagged; variance $${totals.variance.toFixed(2)}.`);
+  return totals;
+}
+
+/**
+ * One "Payouts" row for a payout entry.
+ * Returns: { paymentId (matched "Processed" PaymentID or ''), values }
+ */
+function reconcilePayoutEntry_(payout, entry, processed, locations) {
+  const money = m => (m && typeof m.amount === 'number') ? m.amount / 100 : 0;
+  const gross = money(entry.gross_amount_money);
+  const fee = money(entry.fee_amount_money);
+  const net = entry.net_amount_money ? money(entry.net_amount_money) : round2_(gross - fee);
+
+  let id = '';
+  if (entry.type === 'CHARGE') id = (entry.type_charge_details || {}).payment_id || '';
+  if (entry.type === 'REFUND') id = (entry.type_refund_details || {}).refund_id || '';
+  const match = id ? processed[id] : null;
+
+  const flags = [];
+  let variance = net;
+  if (!match) {
+    flags.push('UNMATCHED');
+  } else {
+    if (round2_(gross - match.amount)) flags.push('AMOUNT_MISMATCH');
+    if (round2_(fee - match.fee)) flags.push('FEE_MISMATCH');
+    variance = round2_(net - (match.amount - match.fee));
+  }
+
+  return {
+    paymentId: match ? id : '',
+    values: [payout.id, payout.arrival_date || '', payout.status || '', locationName_(locations, payout.location_id),
+      entry.type || '', entry.effective_at ? formatDateTime_(entry.effective_at) : '', id, match ? match.rowType : '',
+      gross, fee, net, match ? match.amount : '', match ? match.fee : '', variance, flags.join(', ')]
+  };
+}
+
+/**
+ * Amounts on every "Processed" row.
+ * Returns: { PaymentID: { amount, fee, rowType, tenderType, status, location, when } }
+ */
+function readProcessedAmounts_() {
+  const sheet = getSpreadsheet_().getSheetByName(DEST_TAB);
+  const out = {};
+  if (!sheet || sheet.getLastRow() < 2) return out;
+
+  const values = sheet.getDataRange().getValues();
+  const col = headerIndex_(values[0]);
+  values.slice(1).forEach(r => {
+    const id = String(r[col['PaymentID']] || '').trim();
+    if (!id) return;
+    out[id] = {
+      amount: toNumber_(r[col['Amount Paid']]),
+      fee: toNumber_(r[col['Processing Fee']]),
+      rowType: r[col['Row Type']] || 'Payment',
+      tenderType: r[col['Tender Type']] || '',
+      status: String(r[col['Status']] || '').trim().toUpperCase(),
+      location: r[col['Location']] || '',
+      when: parseSheetDate_(r[col['Time & Date']])
+    };
+  });
+  return out;
+}
+
+/** Payouts created in the window (at locationId when given), oldest first. */
+function fetchPayouts_(beginIso, endIso, locationId) {
+  const payouts = [];
+  let cursor = null;
+  do {
+    const params = { begin_time: beginIso, end_time: endIso, sort_order: 'ASC', limit: 100 };
+    if (locationId) params.location_id = locationId;
+    if (cursor) params.cursor = cursor;
+    const res = squareGet_('/payouts', params);
+    payouts.push(...(res.payouts || []));
+    cursor = res.cursor || null;
+  } while (cursor);
+  return payouts;
+}
+
+function fetchPayoutEntries_(payoutId) {
+  const entries = [];
+  let cursor = null;
+  do {
+    const params = { sort_order: 'ASC', limit: 100 };
+    if (cursor) params.cursor = cursor;
+    const res = squareGet_(`/payouts/${encodeURIComponent(payoutId)}/payout-entries`, params);
+    entries.push(...(res.payout_entries || []));
+    cursor = res.cursor || null;
+  } while (cursor);
+  return entries;
+}
+
+function writePayoutsTab_(rows) {
+  const sheet = getOrCreateSheet_(PAYOUTS_TAB, PAYOUTS_HEADERS);
+  if (sheet.getLastRow() > 1) {
+    const old = sheet.getRange(2, 1, sheet.getLastRow() - 1, PAYOUTS_HEADERS.length);
+    old.clearContent();
+    old.setFontWeight('normal').setBackground(null);
+  }
+  if (rows.length) {
+    sheet.getRange(2, 1, rows.length, PAYOUTS_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 9, rows.length, 6).setNumberFormat('$#,##0.00');
+    rows.forEach((r, i) => {
+      if (r[4] === 'PAYOUT') sheet.getRange(i + 2, 1, 1, PAYOUTS_HEADERS.length).setFontWeight('bold').setBackground('#E2EFDA');
+    });
+  }
+  sheet.getRange(1, 1, 1, PAYOUTS_HEADERS.length).setFontWeight('bold');
+}
@@ -0,0 +1,302 @@
+/*******************************
+ * Kinship Barbershop — Pay-period payroll summary
+ * Source tab: Processed
+ * Destination tab: Payroll (regenerated on every sync)
+ * One row per staff member per pay period, plus a TOTAL line per period.
+ * Tiered plans and minimum guarantees from "Commission Plans" are added on
+ * top as Plan True-Up and Guarantee Top-Up; Total Pay is what the staff
+ * member is owed. Net Business Take has the same adjustments taken off, so
+ * it is the "Processed" total less what the plans pay out on top.
+ * Staff rows cover all of a staff member's locations (Location shows the one
+ * they worked at, or "All"). When a period spans more than one location, a
+ * TOTAL row per location comes before the combined TOTAL; plan adjustments
+ * are split between locations by each staff member's service sales there.
+ * Tip-outs and tip pools from "Tip Rules" appear as Tips Out / Tips In; the
+ * Tips column stays what each person was tipped.
+ *******************************/
+
+const PAYROLL_TAB = 'Payroll';
+
+// frequency: 'weekly' | 'biweekly' | 'semimonthly'
+// anchorDate: first day of any pay period (ignored for semimonthly: 1st–15th, 16th–end of month)
+const PAY_PERIOD_CONFIG = {
+  frequency: 'biweekly',
+  anchorDate: '2025-01-06'
+};
+
+// Rows with these statuses carry no pay. Legacy rows use 'Refunded' / 'Voided';
+// rejected or failed Square refunds never claw anything back.
+const PAYROLL_EXCLUDED_STATUSES = ['CANCELED', 'FAILED', 'REJECTED', 'VOIDED', 'REFUNDED'];
+
+const PAYROLL_HEADERS = [
+  'Pay Period Start','Pay Period End','Staff Name','Location','Transactions','Amount Paid',
+  'Service Sales','Staff Service Commission','Tips','Product Commission',
+  'Staff Processing Fee','Total Staff Commission','Plan True-Up','Guarantee Top-Up',
+  'Tips Out','Tips In','Total Pay','Net Business Take'
+];
+
+// Processed columns summed into each payroll row, in PAYROLL_HEADERS order
+const PAYROLL_SUM_COLUMNS = [
+  'Amount Paid','Service Sales','Staff Service Commission','Tips','Product Commission',
+  'Staff Processing Fee','Total Staff Commission','Net Business Take'
+];
+
+/**
+ * Rebuilds the "Payroll" tab from the rows currently in "Processed".
+ * Called at the end of every syncSquareToSheet() run; safe to run by hand.
+ */
+function buildPayrollSummary() {
+  const ss = getSpreadsheet_();
+  const source = ss.getSheetByName(DEST_TAB);
+  if (!source || source.getLastRow() < 2) {
+    Logger.log('Payroll: no processed rows to summarize.');
+    return;
+  }
+
+  const values = source.getDataRange().getValues();
+  const col = headerIndex_(values[0]);
+  const roster = readCommissionRatesWithTeamIds_();
+  const teamIdToName = roster.teamIdToName;
+  const lineShares = readLineShares_(teamIdToName);
+  const plans = readCommissionPlans_();
+  const sumIndex = name => PAYROLL_SUM_COLUMNS.indexOf(name);
+  const groups = {}; // periodKey|staff -> totals
+
+  const groupFor = (period, staff) => {
+    const key = `${period.key}|${staff}`;
+    if (!groups[key]) {
+      groups[key] = { period, staff, count: 0, sums: PAYROLL_SUM_COLUMNS.map(() => 0), byLocation: {}, tipLocations: {} };
+    }
+    return groups[key];
+  };
+
+  values.slice(1).forEach(r => {
+    const pay = payrollParts_(r, col, lineShares, teamIdToName);
+    if (!pay) return;
+    const { period, location } = pay;
+
+    pay.parts.forEach(part => {
+      const g = groupFor(period, part.staff);
+      const at = g.byLocation[location] = g.byLocation[location] || { count: 0, sums: PAYROLL_SUM_COLUMNS.map(() => 0) };
+      g.count++;
+      at.count++;
+      part.sums.forEach((v, i) => {
+        g.sums[i] += v;
+        at.sums[i] += v;
+      });
+    });
+  });
+
+  // Support staff paid only through tip-outs or pools still get a row
+  const transfers = collectTipTransfers_(values, col, lineShares, roster);
+  const tips = tipTotals_(transfers);
+  transfers.forEach(t => { groupFor(t.period, t.to).tipLocations[t.location] = true; });
+  writeTipDistribution_(transfers);
+  writeDailyTenders_(values, col);
+
+  const byPeriod = {};
+  Object.values(groups).forEach(g => {
+    (byPeriod[g.period.key] = byPeriod[g.period.key] || []).push(g);
+  });
+
+  const rows = [];
+  const totalRowNumbers = [];
+  Object.keys(byPeriod).sort().reverse().forEach(periodKey => {
+    const list = byPeriod[periodKey].sort((a, b) => a.staff.localeCompare(b.staff));
+    const period = list[0].period;
+    const newTotal = () => ({ count: 0, sums: PAYROLL_SUM_COLUMNS.map(() => 0), trueUp: 0, topUp: 0, tipsOut: 0, tipsIn: 0 });
+    const addTo = (t, count, sums, trueUp, topUp) => {
+      t.count += count;
+      sums.forEach((v, i) => { t.sums[i] += v; });
+      t.trueUp += trueUp;
+      t.topUp += topUp;
+    };
+    const tipsFor = (map, key) => map[key] || { out: 0, in: 0 };
+    const total = newTotal();
+    const byLocation = {};
+
+    list.forEach(g => {
+      const adj = applyCommissionPlan_(staffEntry_(plans, staffKeys_(roster, '', g.staff)), period,
+        g.sums[sumIndex('Service Sales')],
+        g.sums[sumIndex('Staff Service Commission')],
+        g.sums[sumIndex('Product Commission')]);
+      const tipped = tipsFor(tips.byStaff, `${periodKey}|${g.staff}`);
+      adj.tipsOut = tipped.out;
+      adj.tipsIn = tipped.in;
+      total.tipsOut += tipped.out;
+      total.tipsIn += tipped.in;
+      const locations = Object.keys(g.byLocation);
+      const seenAt = unique_(locations.concat(Object.keys(g.tipLocations)));
+      rows.push(payrollRow_(period, g.staff, seenAt.length === 1 ? seenAt[0] : 'All', g.count, g.sums, adj));
+      addTo(total, g.count, g.sums, adj.trueUp, adj.topUp);
+
+      // Plans apply to combined sales; each location carries its share of the adjustment
+      locations.forEach(location => {
+        const at = g.byLocation[location];
+        const share = g.sums[sumIndex('Service Sales')]
+          ? at.sums[sumIndex('Service Sales')] / g.sums[sumIndex('Service Sales')]
+          : at.count / g.count;
+        addTo(byLocation[location] = byLocation[location] || newTotal(),
+          at.count, at.sums, adj.trueUp * share, adj.topUp * share);
+      });
+    });
+
+    const locations = Object.keys(byLocation).sort();
+    if (locations.length > 1) {
+      locations.forEach(location => {
+        const t = byLocation[location];
+        const tipped = tipsFor(tips.byLocation, `${periodKey}|${location}`);
+        t.tipsOut = tipped.out;
+        t.tipsIn = tipped.in;
+        rows.push(payrollRow_(period, 'TOTAL', location || '(No location)', t.count, t.sums, t));
+        totalRowNumbers.push(rows.length + 1);
+      });
+    }
+    rows.push(payrollRow_(period, 'TOTAL', locations.length === 1 ? locations[0] : 'All', total.count, total.sums, total));
+    totalRowNumbers.push(rows.length + 1);
+  });
+
+  const sheet = getOrCreateSheet_(PAYROLL_TAB, PAYROLL_HEADERS);
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getMaxColumns()).clear();
+  }
+  if (rows.length) {
+    sheet.getRange(2, 1, rows.length, PAYROLL_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 1, rows.length, 2).setNumberFormat('m/d/yyyy');
+    sheet.getRange(2, 6, rows.length, PAYROLL_HEADERS.length - 5).setNumberFormat('$#,##0.00');
+    totalRowNumbers.forEach(n => {
+      sheet.getRange(n, 1, 1, PAYROLL_HEADERS.length).setFontWeight('bold').setBackground('#E2EFDA');
+    });
+  }
+  sheet.getRange(1, 1, 1, PAYROLL_HEADERS.length).setFontWeight('bold');
+  sheet.autoResizeColumns(1, PAYROLL_HEADERS.length);
+
+  Logger.log(`Payroll: wrote ${rows.length} rows across ${Object.keys(byPeriod).length} pay periods.`);
+}
+
+/**
+ * Pay period, location and per-staff split of one Processed row, or null when
+ * the row carries no pay (blank, excluded status or no date). Staff are named
+ * by Team Member ID where the row has one (see staffNameForId_).
+ * Returns: { period, dayKey, location, parts: [{ staff, sums }] } with sums in PAYROLL_SUM_COLUMNS order
+ */
+function payrollParts_(r, col, lineShares, teamIdToName) {
+  if (!String(r[col['PaymentID']] || '').trim()) return null;
+  const status = String(r[col['Status']] || '').trim().toUpperCase();
+  if (PAYROLL_EXCLUDED_STATUSES.includes(status)) return null;
+
+  const when = parseSheetDate_(r[col['Time & Date']]);
+  if (!when) return null;
+
+  const staff = staffNameForId_(teamIdToName, r[col['Staff Name']], r[col['Team Member ID']]) || '(Unassigned)';
+  const location = String((col['Location'] !== undefined && r[col['Location']]) || '').trim();
+  const sums = PAYROLL_SUM_COLUMNS.map(name => toNumber_(r[col[name]]));
+  // Refund rows are split the same way as the payment they claw back from
+  const sharesKey = String((col['Original PaymentID'] !== undefined && r[col['Original PaymentID']]) || r[col['PaymentID']]).trim();
+
+  return {
+    period: getPayPeriod_(when),
+    dayKey: formatDateKey_(when),
+    location,
+    parts: splitByLineShares_(staff, sums, lineShares[sharesKey])
+  };
+}
+
+/**
+ * Splits one Processed row between the staff on its "Processed Lines".
+ * Other staff take their share of service sales, service commission and product
+ * commission; everything else (tips, fees, Amount Paid, Net Business Take) stays
+ * with the row's own staff member.
+ * Returns: [{ staff, sums }] with sums in PAYROLL_SUM_COLUMNS order.
+ */
+function splitByLineShares_(rowStaff, sums, shares) {
+  const others = Object.keys(shares || {}).filter(s => s !== rowStaff);
+  if (!others.length) return [{ staff: rowStaff, sums }];
+
+  const idx = name => PAYROLL_SUM_COLUMNS.indexOf(name);
+  const total = key => Object.keys(shares).reduce((a, s) => a + shares[s][key], 0);
+  const splits = [
+    { column: 'Service Sales', key: 'serviceSales' },
+    { column: 'Staff Service Commission', key: 'serviceCommission' },
+    { column: 'Product Commission', key: 'productCommission' }
+  ].map(x => Object.assign(x, { total: total(x.key) }));
+
+  const own = sums.slice();
+  const parts = others.map(staff => {
+    const part = PAYROLL_SUM_COLUMNS.map(() => 0);
+    splits.forEach(x => {
+      if (!x.total) return;
+      const amount = sums[idx(x.column)] * shares[staff][x.key] / x.total;
+      part[idx(x.column)] += amount;
+      own[idx(x.column)] -= amount;
+      if (x.key !== 'serviceSales') {
+        part[idx('Total Staff Commission')] += amount;
+        own[idx('Total Staff Commission')] -= amount;
+      }
+    });
+    return { staff, sums: part };
+  });
+  return [{ staff: rowStaff, sums: own }].concat(parts);
+}
+
+/**
+ * sums are in PAYROLL_SUM_COLUMNS order, which ends with Total Staff Commission, Net Business Take.
+ * adj: { trueUp, topUp, tipsOut, tipsIn } (tips given away are shown negative)
+ * Plan adjustments come out of Net Business Take; tip transfers are between staff.
+ */
+function payrollRow_(period, staff, location, count, sums, adj) {
+  const amounts = sums.map(round2_);
+  const netBusinessTake = round2_(amounts.pop() - adj.trueUp - adj.topUp);
+  const totalStaffCommission = amounts[amounts.length - 1];
+  const tipsOut = adj.tipsOut || 0;
+  const tipsIn = adj.tipsIn || 0;
+  const totalPay = round2_(totalStaffCommission + adj.trueUp + adj.topUp - tipsOut + tipsIn);
+  return [period.start, period.end, staff, location, count, ...amounts,
+    round2_(adj.trueUp), round2_(adj.topUp), round2_(-tipsOut), round2_(tipsIn), totalPay, netBusinessTake];
+}
+
+/**
+ * Returns the pay period containing the given date, per PAY_PERIOD_CONFIG.
+ * Returns: { start: Date, end: Date, key: 'yyyy-mm-dd', label: 'M/D/YYYY – M/D/YYYY' }
+ */
+function getPayPeriod_(date) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const freq = String(PAY_PERIOD_CONFIG.frequency || 'biweekly').toLowerCase();
+  let start;
+  let end;
+
+  if (freq === 'semimonthly') {
+    if (day.getDate() <= 15) {
+      start = new Date(day.getFullYear(), day.getMonth(), 1);
+      end = new Date(day.getFullYear(), day.getMonth(), 15);
+    } else {
+      start = new Date(day.getFullYear(), day.getMonth(), 16);
+      end = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+    }
+  } else {
+    const length = freq === 'weekly' ? 7 : 14;
+    const a = String(PAY_PERIOD_CONFIG.anchorDate).split('-').map(Number);
+    const anchor = new Date(a[0], a[1] - 1, a[2]);
+    const daysSinceAnchor = Math.round((day - anchor) / 86400000);
+    const offset = Math.floor(daysSinceAnchor / length) * length;
+    start = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + offset);
+    end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + length - 1);
+  }
+
+  return {
+    start,
+    end,
+    key: formatDateKey_(start),
+    label: `${formatDateShort_(start)} – ${formatDateShort_(end)}`
+  };
+}
+
+function formatDateKey_(d) {
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+function formatDateShort_(d) {
+  return `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
+}
@@ -0,0 +1,168 @@
+/*******************************
+ * Kinship Barbershop — per-line staff attribution
+ * Destination tab: Processed Lines (keyed by PaymentID)
+ * One row per order line item showing who earned it and at what rate, so a
+ * ticket covering a cut by one barber and a beard trim by another credits
+ * each barber with their own share.
+ *******************************/
+
+const LINES_TAB = 'Processed Lines';
+
+const LINE_HEADERS = [
+  'PaymentID','Line','Time & Date','Item','Type','Staff Name','Team Member ID',
+  'Attribution','Net Sales','Commission Rate','Commission'
+];
+
+/**
+ * Works out who earns each line item of an order and at what rate.
+ * Services go to the booking segment booked for that service variation (first
+ * unused match), products to the team member who rang up the payment. Anything
+ * left unmatched falls back to the order's primary staff member. A line's rate
+ * comes from "Item Commission Overrides" when it has one. Gift card lines earn
+ * nothing (see Tenders.js).
+ * primary: { teamMemberId, flag } as resolved by buildProcessedRow_
+ * Returns: [{ uid, name, variationId, isService, isGiftCard, productType, teamMemberId, staffName, source, gross, net, tax, rate, commission, belowMenu }]
+ */
+function attributeLineItems_(payment, order, catalogInfo, staffById, commissionData, itemOverrides, primary, segments) {
+  const money = m => (m && typeof m.amount === 'number') ? m.amount / 100 : 0;
+  const unusedSegments = (segments || []).slice();
+  const createdAtIso = payment.created_at || payment.updated_at;
+  const paidAt = createdAtIso ? new Date(createdAtIso) : new Date();
+  const lines = [];
+  if (!order) return lines;
+
+  (order.line_items || []).forEach((li, i) => {
+    const varId = li.catalog_object_id;
+    const parentInfo = catalogInfo.variationToItem[varId] || {};
+    const isGiftCard = li.item_type === 'GIFT_CARD';
+    const isService = !isGiftCard && parentInfo.product_type === 'APPOINTMENTS_SERVICE';
+    const gross = money(li.gross_sales_money);
+    const lineDiscount = money(li.total_discount_money);
+    const net = Math.max(0, gross - lineDiscount);
+    const listPrice = catalogPrice_(parentInfo, payment.location_id);
+    const name = (parentInfo.item_name || li.name || '').trim();
+
+    let teamMemberId = primary.teamMemberId;
+    let source = primary.flag;
+    if (isService) {
+      const s = unusedSegments.findIndex(seg => seg.team_member_id && seg.service_variation_id === varId);
+      if (s >= 0) {
+        teamMemberId = unusedSegments[s].team_member_id;
+        source = 'from_booking_segment';
+        unusedSegments.splice(s, 1);
+      }
+    } else if (payment.team_member_id) {
+      teamMemberId = payment.team_member_id;
+      source = 'from_payment';
+    }
+
+    const staffName = teamMemberId ? (staffById[teamMemberId] || '') : '';
+    const override = itemOverrideRate_(itemOverrides || {}, varId, parentInfo.item_id, staffKeys_(commissionData, teamMemberId, staffName));
+    const rate = isGiftCard ? 0 : override !== null
+      ? override
+      : resolveCommissionRate_(commissionData, teamMemberId, staffName, isService, paidAt, payment.location_id);
+
+    lines.push({
+      uid: li.uid || String(i + 1),
+      name,
+      variationId: varId || '',
+      isService,
+      isGiftCard,
+      productType: parentInfo.product_type || '',
+      teamMemberId: teamMemberId || '',
+      staffName,
+      source,
+      gross,
+      net,
+      tax: money(li.total_tax_money),
+      rate,
+      commission: net * rate,
+      // Charged less than the catalog price before discounts (discounts are tracked separately)
+      belowMenu: listPrice !== null && li.base_price_money ? money(li.base_price_money) < listPrice - 0.005 : false
+    });
+  });
+  return lines;
+}
+
+/** A variation's catalog price at a location (location override first), or null when variable or unknown. */
+function catalogPrice_(info, locationId) {
+  if (locationId && info.location_prices && info.location_prices[locationId] !== undefined) {
+    return info.location_prices[locationId];
+  }
+  return typeof info.price === 'number' ? info.price : null;
+}
+
+/** "Flags" entry naming the lines sold below their catalog price, or ''. */
+function belowMenuFlag_(lines) {
+  const names = unique_(lines.filter(l => l.belowMenu).map(l => l.name));
+  return names.length ? `BELOW_MENU_PRICE: ${names.join(' / ')}` : '';
+}
+
+function buildProcessedLineRows_(paymentId, createdAt, lines) {
+  return lines.map((line, i) => [
+    paymentId,
+    i + 1,
+    createdAt,
+    line.name,
+    line.isService ? 'Service' : (line.isGiftCard ? 'Gift Card' : 'Product'),
+    line.staffName,
+    line.teamMemberId,
+    line.source,
+    toFixedOrBlank_(line.net),
+    line.rate || 0,
+    toFixedOrBlank_(line.commission)
+  ]);
+}
+
+/**
+ * Replaces the "Processed Lines" rows for the given PaymentIDs with lineRows.
+ * Rows for payments not in this run are left as they are.
+ */
+function writeProcessedLines_(lineRows, paymentIds) {
+  const sheet = getOrCreateSheet_(LINES_TAB, LINE_HEADERS);
+  const last = sheet.getLastRow();
+  const replaced = new Set(paymentIds.map(String));
+
+  const existing = last > 1 ? sheet.getRange(2, 1, last - 1, LINE_HEADERS.length).getValues() : [];
+  const kept = existing.filter(r => !replaced.has(String(r[0]).trim()));
+  const all = kept.concat(lineRows);
+
+  if (last > 1) sheet.getRange(2, 1, last - 1, LINE_HEADERS.length).clearContent();
+  if (all.length) {
+    sheet.getRange(2, 1, all.length, LINE_HEADERS.length).setValues(all);
+    sheet.getRange(2, 9, all.length, 1).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, 10, all.length, 1).setNumberFormat('0.00%');
+    sheet.getRange(2, 11, all.length, 1).setNumberFormat('$#,##0.00');
+  }
+  sheet.getRange(1, 1, 1, LINE_HEADERS.length).setFontWeight('bold');
+  Logger.log(`Processed Lines: replaced lines for ${replaced.size} payments (${lineRows.length} lines).`);
+}
+
+/**
+ * Per-payment staff shares from "Processed Lines".
+ * Returns: { PaymentID: { 'Staff': { serviceSales, serviceCommission, productCommission }, ... } }
+ */
+function readLineShares_(teamIdToName) {
+  const sheet = getSpreadsheet_().getSheetByName(LINES_TAB);
+  const shares = {};
+  if (!sheet || sheet.getLastRow() < 2) return shares;
+
+  const values = sheet.getDataRange().getValues();
+  const col = headerIndex_(values[0]);
+  values.slice(1).forEach(r => {
+    const paymentId = String(r[col['PaymentID']] || '').trim();
+    if (!paymentId || r[col['Type']] === 'Gift Card') return;
+    const staff = staffNameForId_(teamIdToName, r[col['Staff Name']], r[col['Team Member ID']]) || '(Unassigned)';
+    const byStaff = shares[paymentId] = shares[paymentId] || {};
+    const s = byStaff[staff] = byStaff[staff] || { serviceSales: 0, serviceCommission: 0, productCommission: 0 };
+    const net = toNumber_(r[col['Net Sales']]);
+    const commission = toNumber_(r[col['Commission']]);
+    if (r[col['Type']] === 'Service') {
+      s.serviceSales += net;
+      s.serviceCommission += commission;
+    } else {
+      s.productCommission += commission;
+    }
+  });
+  return shares;
+}
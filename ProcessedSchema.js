@@ -0,0 +1,190 @@
+/*******************************
+ * Kinship Barbershop — "Processed" column schema and migration
+ * HEADERS (UpdatedProcess.js) is the schema; bump PROCESSED_SCHEMA_VERSION
+ * whenever it changes. Before each write the sheet is brought up to date:
+ *   - columns are matched by header name (PROCESSED_RENAMED_COLUMNS maps old names)
+ *   - missing columns are added and known columns put in HEADERS order
+ *   - columns the schema doesn't know (added by hand) are kept, after the known ones
+ * Adding columns at the end only writes header cells. Anything that moves
+ * data first copies the sheet to "Processed backup v<old> <date time>".
+ * The version last migrated to lives in Script Property PROCESSED_SCHEMA_KEY.
+ * Schema versions:
+ *   1: the 23 columns written by the legacy processDataComplete (PaymentID … Customer)
+ *   2: Square sync columns Flags … Location
+ *   3: Team Member ID (Staff Name is now the full name; it was the first name only,
+ *      and is rewritten on the way up; see migrateStaffNames_)
+ *   4: Tender Type, Gift Card Sales
+ *******************************/
+
+const PROCESSED_SCHEMA_VERSION = 4;
+const PROCESSED_SCHEMA_KEY = 'PROCESSED_SCHEMA_VERSION';
+
+// Old header → current header, for columns that were renamed
+const PROCESSED_RENAMED_COLUMNS = {};
+
+/** The "Processed" sheet, migrated to the current schema. */
+function getProcessedSheet_() {
+  const ss = getSpreadsheet_();
+  const sheet = ss.getSheetByName(DEST_TAB) || ss.insertSheet(DEST_TAB);
+  migrateProcessedSchema_(sheet);
+  return sheet;
+}
+
+/** Runs the "Processed" migration by hand (it also runs before every sync write). */
+function migrateProcessedSheet() {
+  getProcessedSheet_();
+  Logger.log(`Processed: schema v${PROCESSED_SCHEMA_VERSION}, ${processedLayout_(getSpreadsheet_().getSheetByName(DEST_TAB)).width} columns.`);
+}
+
+function migrateProcessedSchema_(sheet) {
+  const props = getScriptProps_();
+  const version = Number(props.getProperty(PROCESSED_SCHEMA_KEY)) || 1;
+  const setVersion = () => {
+    if (version < 3) migrateStaffNames_(sheet);
+    if (version !== PROCESSED_SCHEMA_VERSION) props.setProperty(PROCESSED_SCHEMA_KEY, String(PROCESSED_SCHEMA_VERSION));
+  };
+
+  const width = sheet.getLastColumn();
+  const current = width ? sheet.getRange(1, 1, 1, width).getValues()[0].map(h => String(h).trim()) : [];
+  if (!current.some(Boolean)) {
+    sheet.getRange(1, 1, 1, HEADERS.length).setValues([HEADERS]);
+    sheet.setFrozenRows(1);
+    setVersion();
+    return;
+  }
+
+  // Source column for each known header (first match), then every other column in sheet order
+  const names = current.map(h => PROCESSED_RENAMED_COLUMNS[h] || h);
+  const known = HEADERS.map(h => names.indexOf(h));
+  const extras = names.map((h, i) => i).filter(i => !known.includes(i));
+  const target = HEADERS.concat(extras.map(i => current[i]));
+
+  if (target.length === current.length && target.every((h, i) => h === current[i])) {
+    setVersion();
+    return;
+  }
+
+  // New columns at the end only: nothing moves
+  const isPrefix = current.every((h, i) => h === target[i]);
+  if (isPrefix) {
+    sheet.getRange(1, current.length + 1, 1, target.length - current.length)
+      .setValues([target.slice(current.length)]);
+    Logger.log(`Processed: schema v${version} → v${PROCESSED_SCHEMA_VERSION}; added ${target.slice(current.length).join(', ')}.`);
+    setVersion();
+    return;
+  }
+
+  const last = sheet.getLastRow();
+  const backup = last > 1 ? backupSheet_(sheet, `${DEST_TAB} backup v${version}`) : null;
+
+  const range = sheet.getRange(1, 1, Math.max(1, last), width);
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  const sources = known.concat(extras);
+  const rows = values.slice(1).map((r, ri) => sources.map(i => {
+    if (i < 0) return '';
+    return formulas[ri + 1][i] || r[i];
+  }));
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, target.length).setValues([target]);
+  if (rows.length) sheet.getRange(2, 1, rows.length, target.length).setValues(rows);
+  sheet.setFrozenRows(1);
+  applyProcessedFormatting_(sheet, target.length);
+
+  Logger.log(`Processed: schema v${version} → v${PROCESSED_SCHEMA_VERSION}; columns rearranged by name` +
+    `${extras.length ? `, kept ${extras.length} extra column(s)` : ''}${backup ? `; backup in "${backup}"` : ''}.`);
+  setVersion();
+}
+
+/**
+ * v3: Staff Name held only the first word of the Square name. Rewrites it on
+ * "Processed Lines" and "Processed" to the "Commission Rates" Person for the
+ * row's team member, and fills in "Team Member ID" on "Processed". A
+ * "Processed" row (which had no ID) takes the ID its payment's lines give
+ * that name, else that of the only team member with that first name. Rows
+ * already under a roster name, or whose first name fits several team
+ * members, are left for fixing by hand.
+ */
+function migrateStaffNames_(sheet) {
+  const teamIdToName = readCommissionRatesWithTeamIds_().teamIdToName;
+  const rosterNames = new Set(Object.values(teamIdToName));
+  if (!rosterNames.size) return;
+  const idsByFirstName = {};
+  Object.keys(teamIdToName).forEach(id => {
+    const first = teamIdToName[id].split(/\s+/)[0];
+    (idsByFirstName[first] = idsByFirstName[first] || []).push(id);
+  });
+  const writeColumn = (sh, index, values) => sh.getRange(2, index + 1, values.length, 1).setValues(values.map(v => [v]));
+
+  // Lines always carried the ID; note which ID each old name had on each payment
+  const lineIds = {}; // 'PaymentID|old name' -> team member ID
+  let linesRenamed = 0;
+  const lines = getSpreadsheet_().getSheetByName(LINES_TAB);
+  if (lines && lines.getLastRow() > 1) {
+    const values = lines.getDataRange().getValues();
+    const col = headerIndex_(values[0]);
+    const names = values.slice(1).map(r => {
+      const name = String(r[col['Staff Name']] || '').trim();
+      const id = String(r[col['Team Member ID']] || '').trim();
+      if (name && id) lineIds[`${String(r[col['PaymentID']]).trim()}|${name}`] = id;
+      const renamed = staffNameForId_(teamIdToName, name, id);
+      if (renamed !== name) linesRenamed++;
+      return renamed;
+    });
+    if (linesRenamed) writeColumn(lines, col['Staff Name'], names);
+  }
+
+  const last = sheet.getLastRow();
+  if (last < 2) return;
+  const layout = processedLayout_(sheet);
+  const col = layout.col;
+  const values = sheet.getRange(2, 1, last - 1, layout.width).getValues();
+  const unresolved = new Set();
+  let renamed = 0;
+  const names = [];
+  const ids = values.map(r => {
+    const name = String(r[col['Staff Name']] || '').trim();
+    let id = String(r[col['Team Member ID']] || '').trim();
+    if (!id && name && !rosterNames.has(name)) {
+      const paymentId = String(r[col['Original PaymentID']] || r[col['PaymentID']] || '').trim();
+      const candidates = idsByFirstName[name] || [];
+      id = lineIds[`${paymentId}|${name}`] || (candidates.length === 1 ? candidates[0] : '');
+      if (!id) unresolved.add(name);
+    }
+    const next = staffNameForId_(teamIdToName, name, id);
+    if (next !== name || id !== String(r[col['Team Member ID']] || '').trim()) renamed++;
+    names.push(next);
+    return id;
+  });
+  if (renamed) {
+    writeColumn(sheet, col['Staff Name'], names);
+    writeColumn(sheet, col['Team Member ID'], ids);
+  }
+  Logger.log(`Processed: staff names rewritten from team member IDs on ${renamed} row(s) and ${linesRenamed} line(s).` +
+    (unresolved.size ? ` Not matched to one team member: ${Array.from(unresolved).join(', ')}; fix those by hand.` : ''));
+}
+
+/**
+ * Where each HEADERS column sits on the sheet.
+ * Returns: {
+ *   width, col: { header: 0-based index },
+ *   toSheetRow(row, existing): a HEADERS-ordered row laid out for the sheet, keeping existing's other columns,
+ *   fromSheetRow(sheetRow): back to HEADERS order
+ * }
+ */
+function processedLayout_(sheet) {
+  const width = Math.max(sheet.getLastColumn(), HEADERS.length);
+  const col = headerIndex_(sheet.getRange(1, 1, 1, width).getValues()[0].map(h => String(h).trim()));
+  return {
+    width,
+    col,
+    toSheetRow: (row, existing) => {
+      const out = existing ? existing.slice(0, width) : [];
+      while (out.length < width) out.push('');
+      HEADERS.forEach((h, i) => { out[col[h]] = row[i]; });
+      return out;
+    },
+    fromSheetRow: sheetRow => HEADERS.map(h => sheetRow[col[h]])
+  };
+}
@@ -0,0 +1,143 @@
+/*******************************
+ * Kinship Barbershop — Square refunds → clawback rows
+ * Each refund is written to "Processed" as its own row (Row Type "Refund"),
+ * keyed by the refund ID and linked to the original payment through
+ * "Original PaymentID". Amounts are the original row's amounts scaled by the
+ * refunded share of Amount Paid, negated, so partial refunds reduce service,
+ * product and tip commission in proportion. The row is dated at the refund,
+ * so the clawback lands in the pay period the refund happened in.
+ * For split-tender orders the sales and commission live on the primary
+ * tender's row, so those are scaled by the refund's share of the whole order.
+ *******************************/
+
+// Order-level columns, scaled by the refund's share of the order
+const REFUND_ORDER_COLUMNS = [
+  'Additional Fees','Service Sales','Staff Service Commission',
+  'Product Sales','Product Commission','Product Tax','Discounts','Gift Card Sales'
+];
+
+// Tender-level columns, scaled by the refund's share of the refunded payment
+const REFUND_PAYMENT_COLUMNS = ['Staff Processing Fee','Tips'];
+
+// Original-row columns copied unchanged onto a refund row
+const REFUND_COPIED_COLUMNS = [
+  'Service Type','Staff Name','Commission Rate (%)','Product','Product Commission Rate','Customer'
+];
+
+/**
+ * Refunds to process this run: everything listed for the window, plus any
+ * refund_ids on updated payments (a refund created before the window can
+ * change status later, which bumps its payment's updated_at).
+ */
+function fetchRefundsForSync_(beginIso, endIso, payments, locationId) {
+  const refunds = fetchRefundsSince_(beginIso, endIso, locationId);
+  const seen = new Set(refunds.map(r => r.id));
+  const missing = unique_(payments
+    .reduce((ids, p) => ids.concat(p.refund_ids || []), [])
+    .filter(id => id && !seen.has(id)));
+
+  missing.forEach(id => {
+    try {
+      const res = squareGet_(`/refunds/${encodeURIComponent(id)}`);
+      if (res.refund) refunds.push(res.refund);
+      Utilities.sleep(120);
+    } catch (e) {
+      Logger.log(`Refund fetch failed for ${id}: ${e}`);
+    }
+  });
+  return refunds;
+}
+
+function fetchRefundsSince_(beginIso, endIso, locationId) {
+  const results = [];
+  let cursor = null;
+  do {
+    const params = {
+      begin_time: beginIso,
+      end_time: endIso,
+      location_id: locationId,
+      sort_order: 'ASC',
+      limit: 100
+    };
+    if (cursor) params.cursor = cursor;
+    const res = squareGet_('/refunds', params);
+    if (res && res.refunds) results.push(...res.refunds);
+    cursor = res && res.cursor;
+  } while (cursor);
+  return results;
+}
+
+function fetchPaymentsByIds_(paymentIds) {
+  const results = [];
+  paymentIds.forEach(id => {
+    try {
+      const res = squareGet_(`/payments/${encodeURIComponent(id)}`);
+      if (res.payment) results.push(res.payment);
+      Utilities.sleep(120);
+    } catch (e) {
+      Logger.log(`Payment fetch failed for ${id}: ${e}`);
+    }
+  });
+  return results;
+}
+
+/**
+ * Builds the clawback row for one refund from the original payment's row
+ * (as returned by buildProcessedRow_). For a refund against a secondary tender
+ * of a split-tender order, pass the primary tender's row and the order's
+ * tender total as orderRow / orderPaid.
+ */
+function buildRefundRow_(refund, paymentRow, orderRow, orderPaid) {
+  const money = m => (m && typeof m.amount === 'number') ? m.amount / 100 : 0;
+  const col = headerIndex_(HEADERS);
+  const fromPayment = name => toNumber_(paymentRow[col[name]]);
+  const salesRow = orderRow || paymentRow;
+  const fromOrder = name => toNumber_(salesRow[col[name]]);
+
+  const refundAmount = money(refund.amount_money);
+  const paymentPaid = fromPayment('Amount Paid');
+  const salesPaid = orderRow ? orderPaid : paymentPaid;
+  const paymentShare = paymentPaid > 0 ? Math.min(1, refundAmount / paymentPaid) : 0;
+  const orderShare = salesPaid > 0 ? Math.min(1, refundAmount / salesPaid) : 0;
+  const createdAtIso = refund.created_at || refund.updated_at || '';
+
+  const v = {};
+  REFUND_COPIED_COLUMNS.forEach(name => { v[name] = salesRow[col[name]]; });
+  REFUND_ORDER_COLUMNS.forEach(name => { v[name] = round2_(-fromOrder(name) * orderShare); });
+  REFUND_PAYMENT_COLUMNS.forEach(name => { v[name] = round2_(-fromPayment(name) * paymentShare); });
+  v['Total Staff Commission'] = round2_(
+    v['Staff Service Commission'] + v['Product Commission'] + v['Tips'] - v['Staff Processing Fee']);
+
+  // Square reports processing fees returned on a refund as negative amounts
+  const processingFee = round2_((refund.processing_fee || [])
+    .map(f => money(f.amount_money))
+    .reduce((a,b)=>a+b, 0));
+
+  v['PaymentID'] = refund.id;
+  v['Time & Date'] = createdAtIso ? formatDateTime_(createdAtIso) : '';
+  v['Amount Paid'] = round2_(-refundAmount);
+  v['Processing Fee'] = processingFee;
+  v['Other Adjustments'] = 0;
+  v['Net Business Take'] = computeNetBusinessTake_({
+    amountPaid: v['Amount Paid'],
+    processingFee,
+    totalStaffCommission: v['Total Staff Commission'],
+    tips: v['Tips'],
+    additionalFees: v['Additional Fees'],
+    discounts: v['Discounts'],
+    otherAdjustments: 0,
+    giftCardSales: v['Gift Card Sales']
+  });
+  v['Status'] = refund.status || '';
+  v['Flags'] = paymentShare < 1 ? 'PARTIAL_REFUND' : 'REFUND';
+  v['Row Type'] = 'Refund';
+  v['Original PaymentID'] = refund.payment_id || '';
+  v['Pay Period'] = createdAtIso ? getPayPeriod_(new Date(createdAtIso)).label : '';
+  v['Order ID'] = paymentRow[col['Order ID']];
+  v['Tenders'] = paymentRow[col['Tenders']];
+  v['Location'] = paymentRow[col['Location']];
+  v['Team Member ID'] = paymentRow[col['Team Member ID']];
+  v['Tender Type'] = paymentRow[col['Tender Type']];
+
+  return HEADERS.map(h => (h in v) ? v[h] : '');
+}
@@ -0,0 +1,242 @@
+/*******************************
+ * Kinship Barbershop — offline replay of the Square sync
+ * Record once against the live Square account, then re-run the whole
+ * syncSquareToSheet() pipeline from the recorded responses with no network:
+ *   recordReplayFixture('oct-payroll', 14)  → live Square, in-memory sheet;
+ *       saves every Square response, the config tabs and the resulting
+ *       "Processed" rows to the Drive folder REPLAY_FOLDER_NAME
+ *   runReplayFixture('oct-payroll')         → replays and diffs "Processed"
+ *       against the saved snapshot (logs every changed cell)
+ *   acceptReplayOutput('oct-payroll')       → saves the current replay output
+ *       as the new expected snapshot after an intended change
+ * Both modes run against an in-memory spreadsheet (MemorySheet.js) and
+ * in-memory Script Properties, so the real workbook and caches are untouched.
+ *******************************/
+
+const REPLAY_FOLDER_NAME = 'Square Replay Fixtures';
+
+// Per-execution state; mode is '' (live), 'record' or 'replay'
+const SQUARE_REPLAY = {
+  mode: '',
+  responses: {},
+  cursors: {},
+  nowIso: '',
+  spreadsheet: null,
+  props: null
+};
+
+/**
+ * Runs the sync against live Square (read-only) and an in-memory sheet, and
+ * saves the responses plus the resulting "Processed" rows as a fixture.
+ */
+function recordReplayFixture(name, lookbackDays) {
+  const ss = SpreadsheetApp.getActive();
+  const sheets = {};
+  replayConfigSheets_().forEach(sheetName => {
+    const sh = ss.getSheetByName(sheetName);
+    if (sh && sh.getLastRow() > 0) sheets[sheetName] = sh.getDataRange().getValues();
+  });
+
+  const nowIso = new Date().toISOString();
+  const beginIso = isoDaysAgo_(lookbackDays || DEFAULT_LOOKBACK_DAYS);
+  startReplayMode_('record', sheets, {}, nowIso);
+  try {
+    SQUARE_REPLAY.props.setProperty(SYNC_CURSOR_KEY, beginIso);
+    syncSquareToSheet();
+    const fixture = { name, recordedAt: nowIso, beginIso, sheets, responses: SQUARE_REPLAY.responses };
+    writeReplayFile_(`${name}.fixture.json`, fixture);
+    writeReplayFile_(`${name}.expected.json`, replaySnapshot_());
+    Logger.log(`Recorded fixture "${name}": ${Object.keys(fixture.responses).length} distinct Square requests.`);
+  } finally {
+    stopReplayMode_();
+  }
+}
+
+/**
+ * Replays a recorded fixture with no network and compares "Processed" with the
+ * expected snapshot. Returns: { matched: bool, diffs: ['message', ...] }
+ */
+function runReplayFixture(name) {
+  const actual = replayFixtureOutput_(name);
+  const expected = readReplayFile_(`${name}.expected.json`);
+  const diffs = diffReplaySnapshots_(expected, actual);
+  if (diffs.length) {
+    Logger.log(`Replay "${name}": ${diffs.length} difference(s) from the expected snapshot:`);
+    diffs.forEach(d => Logger.log('  ' + d));
+  } else {
+    Logger.log(`Replay "${name}": output matches the expected snapshot (${actual.rows.length} rows).`);
+  }
+  return { matched: !diffs.length, diffs };
+}
+
+/** Replays a fixture and saves its output as the new expected snapshot. */
+function acceptReplayOutput(name) {
+  const actual = replayFixtureOutput_(name);
+  writeReplayFile_(`${name}.expected.json`, actual);
+  Logger.log(`Replay "${name}": saved ${actual.rows.length} rows as the expected snapshot.`);
+}
+
+function replayFixtureOutput_(name) {
+  const fixture = readReplayFile_(`${name}.fixture.json`);
+  startReplayMode_('replay', fixture.sheets || {}, fixture.responses || {}, fixture.recordedAt);
+  try {
+    SQUARE_REPLAY.props.setProperty(SYNC_CURSOR_KEY, fixture.beginIso);
+    syncSquareToSheet();
+    return replaySnapshot_();
+  } finally {
+    stopReplayMode_();
+  }
+}
+
+/** Config tabs copied into a fixture so a replay sees the same rates and policies. */
+function replayConfigSheets_() {
+  return [COMMISSION_SHEET_NAME, PLANS_SHEET_NAME, FEE_POLICY_SHEET_NAME, LOCATIONS_SHEET_NAME, ITEM_OVERRIDES_SHEET_NAME,
+    TIP_RULES_SHEET_NAME, TIP_SHIFTS_SHEET_NAME];
+}
+
+function startReplayMode_(mode, sheets, responses, nowIso) {
+  SQUARE_REPLAY.mode = mode;
+  SQUARE_REPLAY.responses = mode === 'replay' ? responses : {};
+  SQUARE_REPLAY.cursors = {};
+  SQUARE_REPLAY.nowIso = nowIso;
+  SQUARE_REPLAY.spreadsheet = createMemorySpreadsheet_(sheets);
+  SQUARE_REPLAY.props = createMemoryProperties_();
+}
+
+function stopReplayMode_() {
+  SQUARE_REPLAY.mode = '';
+  SQUARE_REPLAY.spreadsheet = null;
+  SQUARE_REPLAY.props = null;
+}
+
+// ===== Hooks used by the sync =====
+
+/** The active spreadsheet, or the in-memory stand-in while recording/replaying. */
+function getSpreadsheet_() {
+  return SQUARE_REPLAY.spreadsheet || SpreadsheetApp.getActive();
+}
+
+/** Script Properties (cursor and caches), or an in-memory copy while recording/replaying. */
+function getScriptProps_() {
+  return SQUARE_REPLAY.props || PropertiesService.getScriptProperties();
+}
+
+/** Current time; pinned to the recording time while recording/replaying so request windows match. */
+function now_() {
+  return SQUARE_REPLAY.mode ? new Date(SQUARE_REPLAY.nowIso) : new Date();
+}
+
+/**
+ * Called by squareGet_/squarePost_ with the parse step for a live response.
+ * Records the outcome (data or error, after any retries) while recording, and returns the data.
+ */
+function recordSquareResponse_(method, url, body, parse) {
+  const key = replayKey_(method, url, body);
+  try {
+    const data = parse();
+    // Copy: the sync goes on to modify what it was handed
+    if (SQUARE_REPLAY.mode === 'record') (SQUARE_REPLAY.responses[key] = SQUARE_REPLAY.responses[key] || []).push({ data: JSON.parse(JSON.stringify(data)) });
+    return data;
+  } catch (e) {
+    if (SQUARE_REPLAY.mode === 'record') {
+      const rec = e instanceof SquareApiError
+        ? { error: e.message, method, url, status: e.status, errors: e.errors }
+        : { error: String(e.message || e) };
+      (SQUARE_REPLAY.responses[key] = SQUARE_REPLAY.responses[key] || []).push(rec);
+    }
+    throw e;
+  }
+}
+
+/** Recorded response for a request; repeated requests replay in order, then repeat the last. */
+function replaySquareResponse_(method, url, body) {
+  const key = replayKey_(method, url, body);
+  const list = SQUARE_REPLAY.responses[key];
+  if (!list || !list.length) throw new Error(`Replay: no recorded response for ${key}`);
+  const i = Math.min(SQUARE_REPLAY.cursors[key] || 0, list.length - 1);
+  SQUARE_REPLAY.cursors[key] = i + 1;
+  const rec = list[i];
+  if (rec.error && rec.status) throw new SquareApiError(rec.method, rec.url, rec.status, rec.errors, rec.error);
+  if (rec.error) throw new Error(rec.error);
+  return JSON.parse(JSON.stringify(rec.data));
+}
+
+function replayKey_(method, url, body) {
+  const path = url.indexOf(SQUARE_API_BASE) === 0 ? url.slice(SQUARE_API_BASE.length) : url;
+  return `${method} ${path}` + (body ? ` ${JSON.stringify(body)}` : '');
+}
+
+function createMemoryProperties_() {
+  const store = {};
+  return {
+    getProperty: key => (key in store) ? store[key] : null,
+    setProperty: (key, value) => { store[key] = String(value); },
+    deleteProperty: key => { delete store[key]; },
+    getProperties: () => Object.assign({}, store),
+    getKeys: () => Object.keys(store)
+  };
+}
+
+// ===== Snapshots =====
+
+function replaySnapshot_() {
+  const sheet = getSpreadsheet_().getSheetByName(DEST_TAB);
+  const values = sheet && sheet.getLastRow() > 0 ? sheet.getDataRange().getValues() : [HEADERS];
+  return JSON.parse(JSON.stringify({ headers: values[0], rows: values.slice(1) }));
+}
+
+/** Cell-level differences between two snapshots, matched by PaymentID. */
+function diffReplaySnapshots_(expected, actual) {
+  const diffs = [];
+  const index = snap => {
+    const col = headerIndex_(snap.headers);
+    const byId = {};
+    snap.rows.forEach(r => { byId[String(r[col['PaymentID']])] = r; });
+    return { col, byId };
+  };
+  const e = index(expected);
+  const a = index(actual);
+
+  Object.keys(e.byId).forEach(id => {
+    if (!a.byId[id]) {
+      diffs.push(`${id}: missing from replay output`);
+      return;
+    }
+    expected.headers.forEach(h => {
+      const ev = e.byId[id][e.col[h]];
+      const av = a.col[h] === undefined ? '(no column)' : a.byId[id][a.col[h]];
+      if (String(ev) !== String(av)) diffs.push(`${id} ${h}: expected ${JSON.stringify(ev)}, got ${JSON.stringify(av)}`);
+    });
+  });
+  Object.keys(a.byId).forEach(id => {
+    if (!e.byId[id]) diffs.push(`${id}: not in expected snapshot`);
+  });
+  actual.headers.forEach(h => {
+    if (e.col[h] === undefined) diffs.push(`Column "${h}" is new (not in expected snapshot)`);
+  });
+  return diffs;
+}
+
+// ===== Drive fixture files =====
+
+function replayFolder_() {
+  const it = DriveApp.getFoldersByName(REPLAY_FOLDER_NAME);
+  return it.hasNext() ? it.next() : DriveApp.createFolder(REPLAY_FOLDER_NAME);
+}
+
+function writeReplayFile_(fileName, obj) {
+  const folder = replayFolder_();
+  const json = JSON.stringify(obj, null, 1);
+  const it = folder.getFilesByName(fileName);
+  if (it.hasNext()) {
+    it.next().setContent(json);
+  } else {
+    folder.createFile(fileName, json, 'application/json');
+  }
+}
+
+function readReplayFile_(fileName) {
+  const it = replayFolder_().getFilesByName(fileName);
+  if (!it.hasNext()) throw new Error(`Replay: ${fileName} not found in Drive folder "${REPLAY_FOLDER_NAME}".`);
+  return JSON.parse(it.next().getBlob().getDataAsString());
+}
@@ -0,0 +1,183 @@
+/*******************************
+ * Kinship Barbershop — sales tax
+ * Destination tab: Processed Taxes (keyed by PaymentID, like "Processed Lines")
+ *   One row per order line and tax applied to it, from the order's `taxes` and
+ *   the line's `applied_taxes`; lines with no tax get one TAX_EXEMPT_NAME row.
+ *   Taxable Sales is the line's net sales less any tax included in its price.
+ *   Written for the primary tender's payment only (it carries the order's
+ *   sales; see buildProcessedRow_). Gift card sales aren't sales and are left out.
+ * Report tab: Sales Tax, rebuilt by buildSalesTaxReport('quarter' | 'month')
+ *   One row per period, location and tax name/rate: taxable sales, exempt sales
+ *   (the location's other sales that period), tax collected, tax refunded and
+ *   net tax. Refund rows in "Processed" take back their share of the order's
+ *   sales and tax (the same share their Service and Product Sales were scaled
+ *   by) in the period of the refund.
+ *******************************/
+
+const TAXES_TAB = 'Processed Taxes';
+const TAX_REPORT_TAB = 'Sales Tax';
+const TAX_REPORT_PERIOD = 'quarter'; // 'quarter' | 'month'
+const TAX_EXEMPT_NAME = '(exempt)';
+
+const TAX_HEADERS = [
+  'PaymentID','Order ID','Time & Date','Line','Item','Location','Net Sales',
+  'Tax Name','Tax Rate','Taxable Sales','Tax'
+];
+const TAX_REPORT_HEADERS = [
+  'Period','Location','Tax Name','Tax Rate','Taxable Sales','Exempt Sales',
+  'Tax Collected','Tax Refunded','Net Tax'
+];
+
+/** "Processed Taxes" rows for one payment ([] unless it's the order's primary tender). */
+function buildTaxRows_(payment, order, createdAt, location) {
+  if (!order || primaryTenderPaymentId_(order, payment) !== payment.id) return [];
+  const money = m => (m && typeof m.amount === 'number') ? m.amount / 100 : 0;
+  const taxesByUid = {};
+  (order.taxes || []).forEach(t => { taxesByUid[t.uid] = t; });
+
+  const rows = [];
+  (order.line_items || []).forEach((li, i) => {
+    if (li.item_type === 'GIFT_CARD') return;
+    const net = Math.max(0, money(li.gross_sales_money) - money(li.total_discount_money));
+    const applied = (li.applied_taxes || []).map(a => ({ tax: taxesByUid[a.tax_uid] || {}, amount: money(a.applied_money) }));
+    const included = applied.filter(a => a.tax.type === 'INCLUSIVE').reduce((s, a) => s + a.amount, 0);
+    const base = [payment.id, order.id || '', createdAt, i + 1, (li.name || '').trim(), location, toFixedOrBlank_(net)];
+    if (!applied.length) {
+      rows.push(base.concat([TAX_EXEMPT_NAME, '', 0, 0]));
+      return;
+    }
+    applied.forEach(a => rows.push(base.concat([
+      a.tax.name || a.tax.uid || '',
+      a.tax.percentage ? toNumber_(a.tax.percentage) / 100 : '',
+      round2_(net - included),
+      round2_(a.amount)
+    ])));
+  });
+  return rows;
+}
+
+/**
+ * Replaces the "Processed Taxes" rows for the given PaymentIDs with taxRows.
+ * Rows for payments not in this run are left as they are.
+ */
+function writeProcessedTaxes_(taxRows, paymentIds) {
+  const sheet = getOrCreateSheet_(TAXES_TAB, TAX_HEADERS);
+  const last = sheet.getLastRow();
+  const replaced = new Set(paymentIds.map(String));
+
+  const existing = last > 1 ? sheet.getRange(2, 1, last - 1, TAX_HEADERS.length).getValues() : [];
+  const all = existing.filter(r => !replaced.has(String(r[0]).trim())).concat(taxRows);
+
+  if (last > 1) sheet.getRange(2, 1, last - 1, TAX_HEADERS.length).clearContent();
+  if (all.length) {
+    sheet.getRange(2, 1, all.length, TAX_HEADERS.length).setValues(all);
+    sheet.getRange(2, 7, all.length, 1).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, 9, all.length, 1).setNumberFormat('0.000%');
+    sheet.getRange(2, 10, all.length, 2).setNumberFormat('$#,##0.00');
+  }
+  sheet.getRange(1, 1, 1, TAX_HEADERS.length).setFontWeight('bold');
+}
+
+/** Rebuilds the "Sales Tax" tab by quarter or month (default TAX_REPORT_PERIOD). */
+function buildSalesTaxReport(groupBy) {
+  const by = groupBy || TAX_REPORT_PERIOD;
+  if (by !== 'quarter' && by !== 'month') throw new Error(`Sales Tax: unknown period ${by}; use 'quarter' or 'month'.`);
+  const ss = getSpreadsheet_();
+  const source = ss.getSheetByName(DEST_TAB);
+  const taxSheet = ss.getSheetByName(TAXES_TAB);
+  if (!source || source.getLastRow() < 2 || !taxSheet || taxSheet.getLastRow() < 2) {
+    Logger.log('Sales Tax: no taxed sales to report.');
+    return;
+  }
+
+  const taxValues = taxSheet.getDataRange().getValues();
+  const tcol = headerIndex_(taxValues[0]);
+  const taxesByPayment = {};
+  const taxesByOrder = {};
+  taxValues.slice(1).forEach(r => {
+    const paymentId = String(r[tcol['PaymentID']] || '').trim();
+    if (!paymentId) return;
+    (taxesByPayment[paymentId] = taxesByPayment[paymentId] || []).push(r);
+    const orderId = String(r[tcol['Order ID']] || '').trim();
+    if (orderId) (taxesByOrder[orderId] = taxesByOrder[orderId] || []).push(r);
+  });
+
+  const periodLabel = d => by === 'month'
+    ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`
+    : `${d.getFullYear()}-Q${Math.floor(d.getMonth() / 3) + 1}`;
+  const sales = {}; // period|location -> all sales, net of included tax
+  const groups = {}; // period|location|name|rate -> totals
+  const add = (taxRows, when, share) => {
+    const period = periodLabel(when);
+    const seenLines = new Set();
+    taxRows.forEach(t => {
+      const location = String(t[tcol['Location']] || '');
+      const name = String(t[tcol['Tax Name']] || '');
+      const exempt = name === TAX_EXEMPT_NAME;
+      const lineKey = `${t[tcol['PaymentID']]}|${t[tcol['Line']]}`;
+      const salesKey = `${period}|${location}`;
+      if (!seenLines.has(lineKey)) {
+        seenLines.add(lineKey);
+        sales[salesKey] = (sales[salesKey] || 0) + toNumber_(t[tcol[exempt ? 'Net Sales' : 'Taxable Sales']]) * share;
+      }
+      if (exempt) return;
+      const rate = t[tcol['Tax Rate']];
+      const key = `${salesKey}|${name}|${rate}`;
+      const g = groups[key] = groups[key] || { period, location, name, rate, taxable: 0, collected: 0, refunded: 0 };
+      const tax = toNumber_(t[tcol['Tax']]) * share;
+      g.taxable += toNumber_(t[tcol['Taxable Sales']]) * share;
+      if (share > 0) g.collected += tax;
+      else g.refunded -= tax;
+    });
+  };
+
+  const values = source.getDataRange().getValues();
+  const col = headerIndex_(values[0]);
+  values.slice(1).forEach(r => {
+    const paymentId = String(r[col['PaymentID']] || '').trim();
+    if (!paymentId) return;
+    if (PAYROLL_EXCLUDED_STATUSES.includes(String(r[col['Status']] || '').trim().toUpperCase())) return;
+    const when = parseSheetDate_(r[col['Time & Date']]);
+    if (!when) return;
+
+    if (r[col['Row Type']] !== 'Refund') {
+      if (taxesByPayment[paymentId]) add(taxesByPayment[paymentId], when, 1);
+      return;
+    }
+    // A refund takes back the share of the order its sales were scaled by
+    const orderRows = taxesByOrder[String(r[col['Order ID']] || '').trim()];
+    if (!orderRows) return;
+    const lines = {};
+    orderRows.forEach(t => { lines[`${t[tcol['PaymentID']]}|${t[tcol['Line']]}`] = toNumber_(t[tcol['Net Sales']]); });
+    const orderNet = Object.values(lines).reduce((a, b) => a + b, 0);
+    const refunded = -(toNumber_(r[col['Service Sales']]) + toNumber_(r[col['Product Sales']]));
+    if (orderNet > 0 && refunded > 0) add(orderRows, when, -Math.min(1, refunded / orderNet));
+  });
+
+  // Each tax's exempt sales are the location's other sales that period
+  const rows = [];
+  const taxed = new Set(Object.values(groups).map(g => `${g.period}|${g.location}`));
+  Object.values(groups).forEach(g => {
+    const taxable = round2_(g.taxable);
+    rows.push([g.period, g.location, g.name, g.rate, taxable, round2_(sales[`${g.period}|${g.location}`] - taxable),
+      round2_(g.collected), round2_(g.refunded), round2_(g.collected - g.refunded)]);
+  });
+  Object.keys(sales).filter(key => !taxed.has(key)).forEach(key => {
+    const [period, location] = key.split('|');
+    rows.push([period, location, TAX_EXEMPT_NAME, '', 0, round2_(sales[key]), 0, 0, 0]);
+  });
+  rows.sort((a, b) => String(b[0]).localeCompare(String(a[0])) || String(a[1]).localeCompare(String(b[1])) ||
+    String(a[2]).localeCompare(String(b[2])) || toNumber_(a[3]) - toNumber_(b[3]));
+
+  const sheet = getOrCreateSheet_(TAX_REPORT_TAB, TAX_REPORT_HEADERS);
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, TAX_REPORT_HEADERS.length).clearContent();
+  }
+  if (rows.length) {
+    sheet.getRange(2, 1, rows.length, TAX_REPORT_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 4, rows.length, 1).setNumberFormat('0.000%');
+    sheet.getRange(2, 5, rows.length, 5).setNumberFormat('$#,##0.00');
+  }
+  sheet.getRange(1, 1, 1, TAX_REPORT_HEADERS.length).setFontWeight('bold');
+  Logger.log(`Sales Tax: wrote ${rows.length} row(s) by ${by}.`);
+}
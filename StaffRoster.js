@@ -0,0 +1,200 @@
+/*******************************
+ * Kinship Barbershop — staff roster on "Commission Rates"
+ * Staff are identified by Square team member ID (column D). A payment's staff
+ * member is shown under the Person name of their ID's row, or their full
+ * Square name while they have no row, and the ID goes in "Team Member ID".
+ * Rates are looked up by that ID (rows with no ID by name), and plans, fee
+ * policy, tip rules and overrides under any name on the ID's rows (see
+ * staffKeys_), so two barbers who share a first name keep their own rates and
+ * a row renamed "Name (id)" keeps the person's settings.
+ * Team members the sync sees (or refreshStaffRoster() finds active in Square)
+ * with no row are added with blank rates and column H set to ROSTER_NEW_FLAG;
+ * clear H once their rates are filled in. A row that already has the Square
+ * name but no ID gets the ID filled in instead.
+ * Payroll, statements and tip sharing group each row under the Person name
+ * for its Team Member ID, so rows stored under an older name stay together.
+ * verifyCommissionRatesSetup() reports IDs on rows with different names,
+ * names used by more than one ID (or by none), rows still flagged, and rows
+ * on Fee Policy, Commission Plans, Tip Rules, Tip Pool Shifts and Item
+ * Commission Overrides naming someone who isn't on "Commission Rates".
+ *******************************/
+
+const ROSTER_FLAG_COLUMN = 8; // H
+const ROSTER_NEW_FLAG = 'Added from Square: set rates';
+
+/** Adds every active Square team member missing from "Commission Rates". */
+function refreshStaffRoster() {
+  const names = {};
+  let cursor = null;
+  do {
+    const body = { query: { filter: { status: 'ACTIVE' } }, limit: 100 };
+    if (cursor) body.cursor = cursor;
+    const res = squarePost_('/team-members/search', body);
+    (res.team_members || []).forEach(tm => {
+      const name = teamMemberName_(tm);
+      if (tm.id && name) names[tm.id] = name;
+    });
+    cursor = res.cursor || null;
+  } while (cursor);
+
+  const added = addTeamMembersToRoster_(names, readCommissionRatesWithTeamIds_().teamIdToName);
+  Logger.log(`Commission Rates: ${Object.keys(names).length} active team member(s); added ${Object.keys(added).length}.`);
+}
+
+/**
+ * Adds a flagged "Commission Rates" row for each team member in namesById
+ * ({ id: Square name }) that has no row, or fills the ID into a row already
+ * named for them. A Square name another ID already uses gets the ID appended.
+ * teamIdToName is updated in place.
+ * Returns: { id: Person name written } for the IDs added or filled in
+ */
+function addTeamMembersToRoster_(namesById, teamIdToName) {
+  const missing = Object.keys(namesById).filter(id => !teamIdToName[id]);
+  if (!missing.length) return {};
+
+  const sheet = getSpreadsheet_().getSheetByName(COMMISSION_SHEET_NAME);
+  if (!sheet) return {};
+  const last = sheet.getLastRow();
+  const values = last > 1 ? sheet.getRange(2, 1, last - 1, 4).getValues() : []; // A:D
+  const rowsByName = {};
+  values.forEach((r, i) => {
+    const name = String(r[0] || '').trim();
+    if (name) (rowsByName[name] = rowsByName[name] || []).push({ row: i + 2, id: String(r[3] || '').trim() });
+  });
+
+  const out = {};
+  const appended = [];
+  missing.forEach(id => {
+    let name = namesById[id];
+    const rows = rowsByName[name] || [];
+    if (rows.length && rows.every(r => !r.id)) {
+      rows.forEach(r => {
+        sheet.getRange(r.row, 4).setValue(id);
+        r.id = id;
+      });
+      Logger.log(`Commission Rates: filled in team member ${id} for ${name}.`);
+    } else {
+      if (rows.length) name = `${name} (${id})`;
+      appended.push([name, '', '', id, '', '', '', ROSTER_NEW_FLAG]);
+      rowsByName[name] = [{ id }];
+      Logger.log(`Commission Rates: added ${name} (${id}); set their rates.`);
+    }
+    teamIdToName[id] = name;
+    out[id] = name;
+  });
+
+  if (appended.length) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, appended.length, ROSTER_FLAG_COLUMN).setValues(appended);
+  }
+  return out;
+}
+
+/**
+ * Identity problems on "Commission Rates".
+ * Returns: ['message', ...]
+ */
+function findStaffIdentityIssues_() {
+  const sheet = getSpreadsheet_().getSheetByName(COMMISSION_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const namesById = {};
+  const idsByName = {};
+  const issues = [];
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, ROSTER_FLAG_COLUMN).getValues(); // A:H
+  values.forEach((r, i) => {
+    const name = String(r[0] || '').trim();
+    const id = String(r[3] || '').trim();
+    if (!name) return;
+    idsByName[name] = idsByName[name] || new Set();
+    if (id) {
+      (namesById[id] = namesById[id] || new Set()).add(name);
+      idsByName[name].add(id);
+    }
+    if (String(r[ROSTER_FLAG_COLUMN - 1] || '').trim()) {
+      issues.push(`${name} (row ${i + 2}): ${String(r[ROSTER_FLAG_COLUMN - 1]).trim()}`);
+    }
+  });
+
+  Object.keys(namesById).forEach(id => {
+    if (namesById[id].size > 1) {
+      issues.push(`Conflict: team member ${id} is on rows for ${Array.from(namesById[id]).join(', ')}; the first row's name is used`);
+    }
+  });
+  Object.keys(idsByName).forEach(name => {
+    if (!idsByName[name].size) {
+      issues.push(`${name}: no Team Member ID; only matched by their exact Square name`);
+    } else if (idsByName[name].size > 1) {
+      issues.push(`Duplicate: ${name} is used by team members ${Array.from(idsByName[name]).join(', ')}, who would share rates; rename one`);
+    }
+  });
+  return issues.concat(findUnknownStaffNames_(Object.keys(idsByName)));
+}
+
+/**
+ * Config rows whose Person isn't on "Commission Rates" ('*' and blanks are
+ * fine). Such rows never match anyone.
+ * Returns: ['message', ...]
+ */
+function findUnknownStaffNames_(rosterNames) {
+  // column is 1-based; tipOutOnly: Tip Rules "To" names a person only on tip-out rows
+  const columns = [
+    { sheet: FEE_POLICY_SHEET_NAME, column: 1 },
+    { sheet: PLANS_SHEET_NAME, column: 1 },
+    { sheet: TIP_RULES_SHEET_NAME, column: 1 },
+    { sheet: TIP_RULES_SHEET_NAME, column: 4, tipOutOnly: true },
+    { sheet: TIP_SHIFTS_SHEET_NAME, column: 2 },
+    { sheet: ITEM_OVERRIDES_SHEET_NAME, column: 4 }
+  ];
+  const known = new Set(rosterNames);
+  const ss = getSpreadsheet_();
+  const issues = [];
+  columns.forEach(c => {
+    const sh = ss.getSheetByName(c.sheet);
+    if (!sh || sh.getLastRow() < 2) return;
+    sh.getRange(2, 1, sh.getLastRow() - 1, Math.max(c.column, 2)).getValues().forEach((r, i) => {
+      const name = String(r[c.column - 1] || '').trim();
+      if (!name || name === '*' || known.has(name)) return;
+      if (c.tipOutOnly && String(r[1] || '').trim().toLowerCase() !== 'tip-out') return;
+      const like = rosterNames.filter(n => n.split(/\s+/)[0] === name);
+      issues.push(`${c.sheet} row ${i + 2}: "${name}" is not a Person on "${COMMISSION_SHEET_NAME}"` +
+        (like.length ? `; did you mean ${like.join(' or ')}?` : ''));
+    });
+  });
+  return issues;
+}
+
+/**
+ * The name a row's pay is grouped under: the roster name for its Team Member
+ * ID when it has one on "Commission Rates", else the name on the row.
+ */
+function staffNameForId_(teamIdToName, name, teamMemberId) {
+  const id = String(teamMemberId || '').trim();
+  return (id && teamIdToName && teamIdToName[id]) || String(name || '').trim();
+}
+
+/**
+ * The Person names a staff member's plans, fee policy, tip rules and item
+ * overrides are looked up under: every name on their Team Member ID's
+ * "Commission Rates" rows, first row's first, or name alone when the ID is
+ * blank or on no row. A blank ID is taken from name when it is an ID's roster
+ * name (as staffNameForId_ groups pay).
+ * Returns: ['Person', ...]
+ */
+function staffKeys_(roster, teamMemberId, name) {
+  const trimmed = String(name || '').trim();
+  const id = String(teamMemberId || '').trim() ||
+    Object.keys(roster.teamIdToName).find(k => roster.teamIdToName[k] === trimmed) || '';
+  return (id && roster.namesById && roster.namesById[id]) || (trimmed ? [trimmed] : []);
+}
+
+/** The entry in a table keyed by Person name under the first of keys it has, or undefined. */
+function staffEntry_(byPerson, keys) {
+  const key = keys.find(k => byPerson[k] !== undefined);
+  return key === undefined ? undefined : byPerson[key];
+}
+
+/** Display name on a Square team member: display name, else given + family name. */
+function teamMemberName_(tm) {
+  if (tm.display_name && tm.display_name.trim()) return tm.display_name.trim();
+  return [tm.given_name, tm.family_name].map(s => (s || '').trim()).filter(Boolean).join(' ');
+}
@@ -0,0 +1,184 @@
+/*******************************
+ * Kinship Barbershop — per-staff earnings statements
+ *   buildEarningsStatements('2025-10-06')        // the pay period containing that date
+ *   buildEarningsStatements('2025-10-06', true)  // ...and email each statement
+ * One statement per staff member, built from the "Processed" rows of the
+ * period and split by "Processed Lines" exactly as "Payroll" is, so the
+ * totals (plan true-up and guarantee top-up included) match the Payroll row.
+ * Rendered from StatementTemplate.html and saved as a PDF in
+ * Drive folder "Earnings Statements" / <period start>; re-running replaces them.
+ * Emails go to the address on the staff member's Square team profile, found
+ * through the Team Member ID on "Commission Rates" or "Processed Lines".
+ *******************************/
+
+const STATEMENTS_FOLDER_NAME = 'Earnings Statements';
+const STATEMENT_TEMPLATE_FILE = 'StatementTemplate';
+const STATEMENT_SHOP_NAME = 'Kinship Barbershop';
+
+/**
+ * Builds (and optionally emails) the statements for the pay period containing
+ * dateInPeriod ('YYYY-MM-DD', 'M/D/YYYY' or Date). Defaults to the last closed period.
+ * Returns: [{ staff, file: Drive file URL, emailedTo }]
+ */
+function buildEarningsStatements(dateInPeriod, sendEmail) {
+  const date = dateInPeriod ? parseBackfillDate_(dateInPeriod) : null;
+  if (dateInPeriod && !date) throw new Error(`Statements: invalid date ${dateInPeriod}.`);
+  const current = getPayPeriod_(now_());
+  const period = getPayPeriod_(date || new Date(current.start.getFullYear(), current.start.getMonth(), current.start.getDate() - 1));
+
+  const statements = collectStatements_(period);
+  if (!statements.length) {
+    Logger.log(`Statements: no pay in ${period.label}.`);
+    return [];
+  }
+
+  const folder = getStatementsFolder_(period);
+  const teamIds = sendEmail ? staffTeamMemberIds_() : {};
+  const results = statements.map(s => {
+    const template = HtmlService.createTemplateFromFile(STATEMENT_TEMPLATE_FILE);
+    template.statement = s;
+    const html = template.evaluate().getContent();
+    const name = `${s.staff} ${period.key}.pdf`;
+
+    const existing = folder.getFilesByName(name);
+    while (existing.hasNext()) existing.next().setTrashed(true);
+    const pdf = Utilities.newBlob(html, 'text/html', `${s.staff}.html`).getAs('application/pdf').setName(name);
+    const file = folder.createFile(pdf);
+
+    let emailedTo = '';
+    if (sendEmail) {
+      emailedTo = staffEmail_(teamIds[s.staff]);
+      if (emailedTo) {
+        MailApp.sendEmail({
+          to: emailedTo,
+          subject: `${STATEMENT_SHOP_NAME} earnings statement ${period.label}`,
+          htmlBody: html,
+          attachments: [file.getBlob()]
+        });
+      } else {
+        Logger.log(`Statements: no email address for ${s.staff}; not sent.`);
+      }
+    }
+    return { staff: s.staff, file: file.getUrl(), emailedTo };
+  });
+
+  Logger.log(`Statements: saved ${results.length} statement(s) for ${period.label}; emailed ${results.filter(r => r.emailedTo).length}.`);
+  return results;
+}
+
+/**
+ * Per-staff tickets and totals for one pay period.
+ * Returns: [{ shop, staff, period, tickets: [...], tipTransfers: [...], totals: {...} }] sorted by staff
+ */
+function collectStatements_(period) {
+  const source = getSpreadsheet_().getSheetByName(DEST_TAB);
+  if (!source || source.getLastRow() < 2) return [];
+
+  const values = source.getDataRange().getValues();
+  const col = headerIndex_(values[0]);
+  const roster = readCommissionRatesWithTeamIds_();
+  const teamIdToName = roster.teamIdToName;
+  const lineShares = readLineShares_(teamIdToName);
+  const plans = readCommissionPlans_();
+  const sum = (sums, name) => sums[PAYROLL_SUM_COLUMNS.indexOf(name)];
+  const byStaff = {};
+
+  values.slice(1).forEach(r => {
+    const pay = payrollParts_(r, col, lineShares, teamIdToName);
+    if (!pay || pay.period.key !== period.key) return;
+
+    const rowStaff = staffNameForId_(teamIdToName, r[col['Staff Name']], r[col['Team Member ID']]) || '(Unassigned)';
+    pay.parts.forEach(part => {
+      const s = byStaff[part.staff] = byStaff[part.staff] || { staff: part.staff, tickets: [] };
+      const serviceSales = sum(part.sums, 'Service Sales');
+      const serviceCommission = sum(part.sums, 'Staff Service Commission');
+      const when = parseSheetDate_(r[col['Time & Date']]);
+      s.tickets.push({
+        when,
+        date: formatDateShort_(when),
+        type: r[col['Row Type']] || 'Payment',
+        item: [r[col['Service Type']], r[col['Product']]].filter(Boolean).join(', '),
+        client: r[col['Customer']] || '',
+        serviceSales,
+        rate: pay.parts.length === 1 && part.staff === rowStaff
+          ? toNumber_(r[col['Commission Rate (%)']])
+          : (serviceSales ? serviceCommission / serviceSales : 0),
+        serviceCommission,
+        productCommission: sum(part.sums, 'Product Commission'),
+        tips: sum(part.sums, 'Tips'),
+        feeShare: sum(part.sums, 'Staff Processing Fee'),
+        earned: sum(part.sums, 'Total Staff Commission')
+      });
+    });
+  });
+
+  const transfers = collectTipTransfers_(values, col, lineShares, roster).filter(t => t.period.key === period.key);
+  transfers.forEach(t => { byStaff[t.to] = byStaff[t.to] || { staff: t.to, tickets: [] }; });
+
+  return Object.keys(byStaff).sort().map(staff => {
+    const s = byStaff[staff];
+    s.tickets.sort((a, b) => a.when - b.when);
+    const total = key => round2_(s.tickets.reduce((a, t) => a + t[key], 0));
+    const totals = {
+      tickets: s.tickets.length,
+      serviceSales: total('serviceSales'),
+      serviceCommission: total('serviceCommission'),
+      productCommission: total('productCommission'),
+      tips: total('tips'),
+      feeShare: total('feeShare'),
+      earned: total('earned')
+    };
+    const adj = applyCommissionPlan_(staffEntry_(plans, staffKeys_(roster, '', staff)), period, totals.serviceSales, totals.serviceCommission, totals.productCommission);
+    totals.trueUp = adj.trueUp;
+    totals.topUp = adj.topUp;
+    const tipTransfers = transfers.filter(t => t.from === staff || t.to === staff);
+    totals.tipsOut = round2_(tipTransfers.filter(t => t.from === staff).reduce((a, t) => a + t.amount, 0));
+    totals.tipsIn = round2_(tipTransfers.filter(t => t.to === staff).reduce((a, t) => a + t.amount, 0));
+    totals.totalPay = round2_(totals.earned + adj.trueUp + adj.topUp - totals.tipsOut + totals.tipsIn);
+    return { shop: STATEMENT_SHOP_NAME, staff, period, tickets: s.tickets, tipTransfers, totals };
+  });
+}
+
+/** Drive folder "Earnings Statements" / <period key>, created as needed. */
+function getStatementsFolder_(period) {
+  const roots = DriveApp.getFoldersByName(STATEMENTS_FOLDER_NAME);
+  const root = roots.hasNext() ? roots.next() : DriveApp.createFolder(STATEMENTS_FOLDER_NAME);
+  const folders = root.getFoldersByName(period.key);
+  return folders.hasNext() ? folders.next() : root.createFolder(period.key);
+}
+
+/** Staff name → team member ID, from "Commission Rates" then "Processed Lines". */
+function staffTeamMemberIds_() {
+  const ids = {};
+  const sheet = getSpreadsheet_().getSheetByName(LINES_TAB);
+  if (sheet && sheet.getLastRow() > 1) {
+    const values = sheet.getDataRange().getValues();
+    const col = headerIndex_(values[0]);
+    values.slice(1).forEach(r => {
+      const staff = String(r[col['Staff Name']] || '').trim();
+      const id = String(r[col['Team Member ID']] || '').trim();
+      if (staff && id) ids[staff] = id;
+    });
+  }
+  const teamIdToName = readCommissionRatesWithTeamIds_().teamIdToName;
+  Object.keys(teamIdToName).forEach(id => { ids[teamIdToName[id]] = id; });
+  return ids;
+}
+
+/** Email address on a Square team profile, or '' when there's none (or the lookup fails). */
+function staffEmail_(teamMemberId) {
+  if (!teamMemberId) return '';
+  try {
+    const res = squareGet_(`/team-members/${encodeURIComponent(teamMemberId)}`);
+    return (res.team_member && res.team_member.email_address) || '';
+  } catch (e) {
+    Logger.log(`Statements: team member ${teamMemberId} lookup failed: ${e}`);
+    return '';
+  }
+}
+
+/** Used by StatementTemplate.html. */
+function formatStatementMoney_(n) {
+  const v = round2_(Number(n) || 0);
+  return `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`;
+}
@@ -0,0 +1,86 @@
+/*******************************
+ * Kinship Barbershop — tender types, gift cards and the daily cash summary
+ * "Processed" records each payment's Tender Type (from Square's source_type):
+ *   Card | Cash | Gift Card (a Square gift card paid as a card) | Wallet | External | Other
+ * Refund rows take the Tender Type of the payment they refund.
+ * Gift card sales (order lines with item_type GIFT_CARD) are a liability, not
+ * revenue: they go in "Gift Card Sales" rather than Product Sales, earn no
+ * commission and are left out of Net Business Take. The haircut later paid
+ * with the gift card is counted as revenue then, once.
+ * Destination tab: Daily Tenders (regenerated with Payroll)
+ *   One row per day and location: Amount Paid by tender type (refunds netted),
+ *   Cash Tips, Gift Cards Sold and the Gift Card Liability (sold less redeemed
+ *   across every location, to the end of that day, since the first synced day).
+ *   The Cash column is what the drawer should have taken in that day.
+ *******************************/
+
+const DAILY_TENDERS_TAB = 'Daily Tenders';
+const TENDER_TYPES = ['Card','Cash','Gift Card','Wallet','External','Other'];
+const DAILY_TENDERS_HEADERS = ['Date','Location'].concat(TENDER_TYPES).concat([
+  'Total Collected','Cash Tips','Gift Cards Sold','Gift Card Liability'
+]);
+
+/** A payment's tender type (one of TENDER_TYPES). */
+function tenderType_(payment) {
+  const card = payment.card_details && payment.card_details.card;
+  switch (payment.source_type) {
+    case 'CARD': return card && card.card_brand === 'SQUARE_GIFT_CARD' ? 'Gift Card' : 'Card';
+    case 'CASH': return 'Cash';
+    case 'WALLET':
+    case 'BUY_NOW_PAY_LATER': return 'Wallet';
+    case 'EXTERNAL': return 'External';
+    default: return 'Other';
+  }
+}
+
+/** Rewrites "Daily Tenders" from the rows of "Processed" (values with header row, col from headerIndex_). */
+function writeDailyTenders_(values, col) {
+  if (col['Tender Type'] === undefined) return;
+
+  const days = {}; // dayKey|location -> totals
+  values.slice(1).forEach(r => {
+    if (!String(r[col['PaymentID']] || '').trim()) return;
+    if (PAYROLL_EXCLUDED_STATUSES.includes(String(r[col['Status']] || '').trim().toUpperCase())) return;
+    const when = parseSheetDate_(r[col['Time & Date']]);
+    if (!when) return;
+
+    const location = String(r[col['Location']] || '').trim();
+    const dayKey = formatDateKey_(when);
+    const d = days[`${dayKey}|${location}`] = days[`${dayKey}|${location}`] ||
+      { dayKey, location, byType: TENDER_TYPES.map(() => 0), cashTips: 0, giftCardsSold: 0 };
+    const type = TENDER_TYPES.includes(r[col['Tender Type']]) ? r[col['Tender Type']] : 'Other';
+    d.byType[TENDER_TYPES.indexOf(type)] += toNumber_(r[col['Amount Paid']]);
+    if (type === 'Cash') d.cashTips += toNumber_(r[col['Tips']]);
+    d.giftCardsSold += toNumber_(r[col['Gift Card Sales']]);
+  });
+
+  // Liability runs across every location, oldest day first
+  const keys = Object.keys(days).sort();
+  const liabilityByDay = {};
+  let liability = 0;
+  keys.forEach(key => {
+    const d = days[key];
+    liability += d.giftCardsSold - d.byType[TENDER_TYPES.indexOf('Gift Card')];
+    liabilityByDay[d.dayKey] = liability;
+  });
+
+  const rows = keys.reverse().map(key => {
+    const d = days[key];
+    const parts = d.dayKey.split('-').map(Number);
+    return [new Date(parts[0], parts[1] - 1, parts[2]), d.location]
+      .concat(d.byType.map(round2_))
+      .concat([round2_(d.byType.reduce((a, b) => a + b, 0)), round2_(d.cashTips), round2_(d.giftCardsSold), round2_(liabilityByDay[d.dayKey])]);
+  });
+
+  const sheet = getOrCreateSheet_(DAILY_TENDERS_TAB, DAILY_TENDERS_HEADERS);
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, DAILY_TENDERS_HEADERS.length).clearContent();
+  }
+  if (rows.length) {
+    sheet.getRange(2, 1, rows.length, DAILY_TENDERS_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 1, rows.length, 1).setNumberFormat('m/d/yyyy');
+    sheet.getRange(2, 3, rows.length, DAILY_TENDERS_HEADERS.length - 2).setNumberFormat('$#,##0.00');
+  }
+  sheet.getRange(1, 1, 1, DAILY_TENDERS_HEADERS.length).setFontWeight('bold');
+  Logger.log(`Daily Tenders: wrote ${rows.length} day(s).`);
+}
@@ -0,0 +1,177 @@
+/*******************************
+ * Kinship Barbershop — tip-outs and tip pools
+ * Rule table: sheet "Tip Rules" (one row per rule)
+ *   A: Person whose tips are shared (as in "Commission Rates"; * = everyone without their own rows)
+ *   B: Type: tip-out | pool
+ *   C: Share % of that person's tips
+ *   D: To: the support staff member (tip-out) or the pool's name (pool)
+ *   E: Pool Split: hours | equal (pool rows; default equal)
+ * Shift table: sheet "Tip Pool Shifts" (who shares each day's pool)
+ *   A: Date  B: Person  C: Hours  D: Pool (blank = every pool)
+ * Tips are shared per day: each pool's share of the day's tips is split among
+ * that day's shifts by hours, or equally per person. A day with no shifts
+ * leaves that pool's share with the person who was tipped. Tips on
+ * (Unassigned) rows are never shared.
+ * "Processed" keeps the original tips; the transfers are listed in the
+ * "Tip Distribution" tab and land in "Payroll" as Tips Out / Tips In.
+ *******************************/
+
+const TIP_RULES_SHEET_NAME = 'Tip Rules';
+const TIP_SHIFTS_SHEET_NAME = 'Tip Pool Shifts';
+const TIP_DISTRIBUTION_TAB = 'Tip Distribution';
+const TIP_DISTRIBUTION_HEADERS = [
+  'Pay Period Start','Date','From','To','Rule','Location','Tips','Share','Amount'
+];
+
+/**
+ * Read "Tip Rules".
+ * Returns: { byPerson: { 'Person' | '*': [{ type, share, to }] }, poolSplit: { 'pool': 'hours'|'equal' } }
+ */
+function readTipRules_() {
+  const sh = getSpreadsheet_().getSheetByName(TIP_RULES_SHEET_NAME);
+  const rules = { byPerson: {}, poolSplit: {} };
+  if (!sh || sh.getLastRow() < 2) return rules;
+
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, 5).getValues(); // A:E
+  values.forEach(r => {
+    const person = String(r[0] || '').trim();
+    const type = String(r[1] || '').trim().toLowerCase();
+    const to = String(r[3] || '').trim();
+    if (!person || !to || (type !== 'tip-out' && type !== 'pool')) return;
+    (rules.byPerson[person] = rules.byPerson[person] || []).push({ type, share: normalizeRate_(r[2]), to });
+    if (type === 'pool' && !rules.poolSplit[to]) {
+      rules.poolSplit[to] = String(r[4] || '').trim().toLowerCase() === 'hours' ? 'hours' : 'equal';
+    }
+  });
+  return rules;
+}
+
+/**
+ * Read "Tip Pool Shifts".
+ * Returns: { 'yyyy-mm-dd': [{ person, hours, pool ('' = every pool) }] }
+ */
+function readTipShifts_() {
+  const sh = getSpreadsheet_().getSheetByName(TIP_SHIFTS_SHEET_NAME);
+  const shifts = {};
+  if (!sh || sh.getLastRow() < 2) return shifts;
+
+  const values = sh.getRange(2, 1, sh.getLastRow() - 1, 4).getValues(); // A:D
+  values.forEach(r => {
+    const day = parseSheetDate_(r[0]);
+    const person = String(r[1] || '').trim();
+    if (!day || !person) return;
+    (shifts[formatDateKey_(day)] = shifts[formatDateKey_(day)] || []).push({
+      person, hours: toNumber_(r[2]), pool: String(r[3] || '').trim()
+    });
+  });
+  return shifts;
+}
+
+/**
+ * Tip transfers for every day in "Processed", worked out from each person's
+ * tips that day (after line splits, refunds included).
+ * Returns: [{ dayKey, period, from, to, rule, location, tips, share, amount }]
+ */
+function collectTipTransfers_(values, col, lineShares, roster) {
+  const rules = readTipRules_();
+  if (!Object.keys(rules.byPerson).length) return [];
+
+  const tipsIndex = PAYROLL_SUM_COLUMNS.indexOf('Tips');
+  const tipsByDay = {}; // dayKey -> staff -> location -> tips
+  values.slice(1).forEach(r => {
+    const pay = payrollParts_(r, col, lineShares, roster.teamIdToName);
+    if (!pay) return;
+    pay.parts.forEach(part => {
+      const tips = part.sums[tipsIndex];
+      if (!tips) return;
+      const byStaff = tipsByDay[pay.dayKey] = tipsByDay[pay.dayKey] || {};
+      const byLocation = byStaff[part.staff] = byStaff[part.staff] || {};
+      byLocation[pay.location] = (byLocation[pay.location] || 0) + tips;
+    });
+  });
+  return computeTipTransfers_(tipsByDay, rules, readTipShifts_(), roster);
+}
+
+function computeTipTransfers_(tipsByDay, rules, shifts, roster) {
+  const transfers = [];
+  Object.keys(tipsByDay).sort().forEach(dayKey => {
+    const d = dayKey.split('-').map(Number);
+    const period = getPayPeriod_(new Date(d[0], d[1] - 1, d[2]));
+    const dayShifts = shifts[dayKey] || [];
+    const add = (from, to, rule, location, tips, share, amount) => {
+      if (from === to || !round2_(amount)) return;
+      transfers.push({ dayKey, period, from, to, rule, location, tips: round2_(tips), share, amount: round2_(amount) });
+    };
+
+    Object.keys(tipsByDay[dayKey]).forEach(from => {
+      if (from === '(Unassigned)') return;
+      const own = staffEntry_(rules.byPerson, staffKeys_(roster, '', from)) || rules.byPerson['*'] || [];
+      Object.keys(tipsByDay[dayKey][from]).forEach(location => {
+        const tips = tipsByDay[dayKey][from][location];
+        if (tips <= 0) return;
+        own.forEach(rule => {
+          const amount = tips * rule.share;
+          if (rule.type === 'tip-out') {
+            add(from, rule.to, `tip-out ${Math.round(rule.share * 1000) / 10}%`, location, tips, rule.share, amount);
+            return;
+          }
+          const members = dayShifts.filter(s => !s.pool || s.pool === rule.to);
+          const byHours = rules.poolSplit[rule.to] === 'hours';
+          const weightTotal = members.reduce((a, s) => a + (byHours ? s.hours : 1), 0);
+          if (!weightTotal) {
+            Logger.log(`Tips: no shifts for pool ${rule.to} on ${dayKey}; ${from} keeps that share.`);
+            return;
+          }
+          members.forEach(s => {
+            const weight = (byHours ? s.hours : 1) / weightTotal;
+            add(from, s.person, `pool ${rule.to} (${byHours ? 'hours' : 'equal'})`, location, tips, rule.share * weight, amount * weight);
+          });
+        });
+      });
+    });
+  });
+  return transfers;
+}
+
+/** Rewrites "Tip Distribution" with every transfer, newest day first. */
+function writeTipDistribution_(transfers) {
+  const ss = getSpreadsheet_();
+  if (!transfers.length && !ss.getSheetByName(TIP_DISTRIBUTION_TAB)) return;
+
+  const sheet = getOrCreateSheet_(TIP_DISTRIBUTION_TAB, TIP_DISTRIBUTION_HEADERS);
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, TIP_DISTRIBUTION_HEADERS.length).clearContent();
+  }
+  const rows = transfers.slice().reverse().map(t => {
+    const d = t.dayKey.split('-').map(Number);
+    return [t.period.start, new Date(d[0], d[1] - 1, d[2]), t.from, t.to, t.rule, t.location, t.tips, round4_(t.share), t.amount];
+  });
+  if (rows.length) {
+    sheet.getRange(2, 1, rows.length, TIP_DISTRIBUTION_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 1, rows.length, 2).setNumberFormat('m/d/yyyy');
+    sheet.getRange(2, 7, rows.length, 1).setNumberFormat('$#,##0.00');
+    sheet.getRange(2, 8, rows.length, 1).setNumberFormat('0.00%');
+    sheet.getRange(2, 9, rows.length, 1).setNumberFormat('$#,##0.00');
+  }
+  sheet.getRange(1, 1, 1, TIP_DISTRIBUTION_HEADERS.length).setFontWeight('bold');
+  Logger.log(`Tip Distribution: wrote ${rows.length} transfer(s).`);
+}
+
+/**
+ * Tips given and received per pay period and person (and per period and location).
+ * Returns: { byStaff: { 'periodKey|staff': { out, in } }, byLocation: { 'periodKey|location': { out, in } } }
+ */
+function tipTotals_(transfers) {
+  const totals = { byStaff: {}, byLocation: {} };
+  const bump = (map, key, field, amount) => {
+    const t = map[key] = map[key] || { out: 0, in: 0 };
+    t[field] += amount;
+  };
+  transfers.forEach(t => {
+    bump(totals.byStaff, `${t.period.key}|${t.from}`, 'out', t.amount);
+    bump(totals.byStaff, `${t.period.key}|${t.to}`, 'in', t.amount);
+    bump(totals.byLocation, `${t.period.key}|${t.location}`, 'out', t.amount);
+    bump(totals.byLocation, `${t.period.key}|${t.location}`, 'in', t.amount);
+  });
+  return totals;
+}
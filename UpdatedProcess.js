@@ -7,6 +7,11 @@
  *   B: Service Commission Rate
  *   C: Product Commission Rate
  *   D: Square Team Member ID
+ *   E: Effective From (optional; blank = since forever)
+ *   F: Effective To (optional, inclusive; blank = still current)
+ *   G: Location (optional; ID or name from "Locations"; blank = every location)
+ *   H: Roster flag (set on rows added from Square; see StaffRoster.js)
+ *   One row per rate change (and per location); a person may appear on several rows.
  *******************************/
 
 const SQUARE_API_BASE = 'https://connect.squareup.com/v2';
@@ -15,22 +20,35 @@ const DEST_TAB = 'Processed';
 const COMMISSION_SHEET_NAME = 'Commission Rates';
 
 const SYNC_CURSOR_KEY = 'SQUARE_UPDATED_CURSOR_ISO';
-const TEAM_CACHE_KEY = 'SQUARE_TEAM_CACHE_JSON'; // team_member_id -> "Given Family"
-const CUSTOMER_CACHE_KEY = 'SQUARE_CUSTOMER_CACHE_JSON'; // customer_id -> "Given Family"
-const BOOKING_CACHE_KEY = 'SQUARE_BOOKING_STAFF_CACHE_JSON'; // appointment_id -> team_member_id
+const LOCATION_CURSORS_KEY = 'SQUARE_LOCATION_CURSORS_JSON'; // location_id -> updated_at cursor (see "Locations")
+// Legacy single-property caches; moved into the "_Cache" tab (CacheStore.js) on first use
+const TEAM_CACHE_KEY = 'SQUARE_TEAM_CACHE_JSON';
+const CUSTOMER_CACHE_KEY = 'SQUARE_CUSTOMER_CACHE_JSON';
+const BOOKING_CACHE_KEY = 'SQUARE_BOOKING_STAFF_CACHE_JSON';
+const LOOKUP_FAILURES_KEY = 'SQUARE_LOOKUP_FAILURES_JSON'; // booking|team|customer -> id -> { error, attempts, last, paymentIds }
+const LOOKUP_FAILURE_MAX_ATTEMPTS = 5; // failed lookups or retries before a lookup failure is given up on
 const DEFAULT_LOOKBACK_DAYS = 30;
+const SYNC_LOCK_WAIT_MS = 60000;
+const SYNC_STATUS_KEY = 'SQUARE_SYNC_STATUS_JSON';
+const SYNC_BATCH_SIZE = 100; // payments per batch (one Square page)
+const SYNC_TIME_BUDGET_MS = 4.5 * 60 * 1000; // stop starting new batches after this; Apps Script kills runs at 6 min
+const SYNC_CONTINUE_AFTER_MS = 60 * 1000;
+
+// Retries for 429 and 5xx responses (and network errors): exponential backoff with jitter
+const SQUARE_RETRY = {
+  maxAttempts: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000 // also caps a Retry-After header so a run can't stall past the execution limit
+};
 
 // Toggle: enable diagnostic logging for missing staff scenarios
 const ENABLE_MISSING_STAFF_LOGS = true;
 
-// Defaults only. The sheet overrides these per staff.
+// Defaults only. The sheet overrides these per staff; per-item rates live on
+// "Item Commission Overrides".
 const COMMISSION_RULES = {
   defaultServiceRate: 0.0,
-  defaultProductRate: 0.0,
-  byItemName: {
-    // Optional. Example:
-    // 'Beard Trim': { service: 0.4 },
-  }
+  defaultProductRate: 0.0
 };
 
 const HEADERS = [
@@ -38,42 +56,229 @@ const HEADERS = [
   'Amount Paid','Processing Fee','Staff Processing Fee','Service Sales',
   'Commission Rate (%)','Staff Service Commission','Tips','Product','Product Sales',
   'Product Commission Rate','Product Commission','Product Tax','Discounts',
-  'Other Adjustments','Total Staff Commission','Net Business Take','Status','Customer','Flags'
+  'Other Adjustments','Total Staff Commission','Net Business Take','Status','Customer','Flags',
+  'Row Type','Original PaymentID','Pay Period','Order ID','Tenders','Location','Team Member ID',
+  'Tender Type','Gift Card Sales'
 ];
 
 function syncSquareToSheet() {
-  const sheet = getOrCreateSheet_(DEST_TAB, HEADERS);
-  const props = PropertiesService.getScriptProperties();
+  // The webhook receiver writes the same rows; never run both at once
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(SYNC_LOCK_WAIT_MS)) {
+    Logger.log('Another sync or webhook is running; skipped this run.');
+    return;
+  }
+  try {
+    runCheckpointedSync_();
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-  const nowIso = new Date().toISOString();
-  const beginIso = props.getProperty(SYNC_CURSOR_KEY) || isoDaysAgo_(DEFAULT_LOOKBACK_DAYS);
+/**
+ * Works through payments updated since the cursor one page (SYNC_BATCH_SIZE,
+ * oldest first) at a time, one pass per synced location. After each page is
+ * written that location's cursor moves to the page's last updated_at, so a run
+ * that stops early loses nothing. When the time budget runs out the sync stops
+ * between pages and schedules continueSquareSync() to pick up from the cursors.
+ */
+function runCheckpointedSync_() {
+  const props = getScriptProps_();
+  const startedMs = Date.now();
+
+  const nowIso = now_().toISOString();
+  const fallbackIso = props.getProperty(SYNC_CURSOR_KEY) || isoDaysAgo_(DEFAULT_LOOKBACK_DAYS);
+
+  // One pass per synced location, each with its own cursor; with no "Locations"
+  // sheet, a single unfiltered pass on SYNC_CURSOR_KEY
+  const locations = readLocations_();
+  const passes = locations.syncIds.length ? locations.syncIds : [''];
+  const cursors = JSON.parse(props.getProperty(LOCATION_CURSORS_KEY) || '{}');
+  const saveCursor = (locationId, iso) => {
+    if (!locationId) {
+      props.setProperty(SYNC_CURSOR_KEY, iso);
+      return;
+    }
+    cursors[locationId] = iso;
+    props.setProperty(LOCATION_CURSORS_KEY, JSON.stringify(cursors));
+  };
 
-  const payments = fetchPaymentsUpdatedSince_(beginIso, nowIso);
-  if (!payments.length) {
-    Logger.log('No new or updated payments.');
-    props.setProperty(SYNC_CURSOR_KEY, nowIso);
-    return;
+  const status = {
+    state: 'running', runStartedAt: nowIso, cursors: {},
+    batches: 0, payments: 0, refunds: 0, updated: 0, appended: 0, message: ''
+  };
+  const label = locationId => locationId ? locationName_(locations, locationId) : 'all locations';
+  passes.forEach(locationId => { status.cursors[label(locationId)] = locationId ? (cursors[locationId] || fallbackIso) : fallbackIso; });
+  writeSyncStatus_(status);
+
+  // Payments behind the cursor whose rows a failed lookup left incomplete
+  const retried = retryLookupFailures_();
+  if (retried) {
+    status.payments += retried.payments;
+    status.updated += retried.updated;
+    status.appended += retried.appended;
+  }
+
+  const outOfTime = () => !SQUARE_REPLAY.mode && Date.now() - startedMs > SYNC_TIME_BUDGET_MS;
+  const pause = () => {
+    if (status.batches || retried) finishProcessedSheet_();
+    status.state = 'paused';
+    status.message = `Time budget reached after ${status.batches} batch(es); continuing from the saved cursors.`;
+    writeSyncStatus_(status);
+    Logger.log(status.message);
+    scheduleSyncContinuation_();
+  };
+
+  try {
+    for (let i = 0; i < passes.length; i++) {
+      const locationId = passes[i];
+      if (i > 0 && outOfTime()) return pause();
+
+      const beginIso = status.cursors[label(locationId)];
+      let refundsFrom = beginIso;
+      let pageCursor = null;
+      do {
+        const page = fetchPaymentsPage_(beginIso, nowIso, pageCursor, locationId);
+        pageCursor = page.cursor;
+
+        // Refunds are listed by creation time over the same stretch of the window as this page
+        const lastUpdatedIso = page.payments.length ? page.payments[page.payments.length - 1].updated_at : '';
+        const batchEndIso = pageCursor && lastUpdatedIso ? lastUpdatedIso : nowIso;
+        const payments = page.payments;
+        const refunds = fetchRefundsForSync_(refundsFrom, batchEndIso, payments, locationId);
+
+        if (payments.length || refunds.length) {
+          const result = processPayments_(payments, refunds);
+          status.batches++;
+          status.payments += result.payments;
+          status.refunds += result.refunds;
+          status.updated += result.updated;
+          status.appended += result.appended;
+          Logger.log(`Batch ${status.batches} (${label(locationId)}): ${result.payments} payments and ${result.refunds} refunds through ${batchEndIso}. Updated ${result.updated}, appended ${result.appended}.`);
+        }
+
+        // Everything up to batchEndIso is written; a resumed run re-reads from here (inclusive)
+        saveCursor(locationId, batchEndIso);
+        status.cursors[label(locationId)] = batchEndIso;
+        refundsFrom = batchEndIso;
+        writeSyncStatus_(status);
+
+        if (pageCursor && outOfTime()) return pause();
+      } while (pageCursor);
+    }
+  } catch (e) {
+    status.state = 'error';
+    status.message = String(e.message || e);
+    writeSyncStatus_(status);
+    throw e;
+  }
+  // Every location is synced through now; new or re-enabled locations start here
+  if (passes[0]) props.setProperty(SYNC_CURSOR_KEY, nowIso);
+
+  if (status.batches || retried) finishProcessedSheet_();
+  if (!status.payments && !status.refunds) Logger.log('No new or updated payments.');
+  Logger.log(`Processed ${status.payments} payments and ${status.refunds} refunds. Updated ${status.updated}, appended ${status.appended}.`);
+
+  buildPayrollSummary();
+
+  status.state = 'done';
+  status.message = `Synced through ${nowIso}.`;
+  writeSyncStatus_(status);
+}
+
+/** Trigger handler for a sync that paused on its time budget. */
+function continueSquareSync() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === 'continueSquareSync')
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  syncSquareToSheet();
+}
+
+function scheduleSyncContinuation_() {
+  const pending = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === 'continueSquareSync');
+  if (!pending) ScriptApp.newTrigger('continueSquareSync').timeBased().after(SYNC_CONTINUE_AFTER_MS).create();
+}
+
+function writeSyncStatus_(status) {
+  status.updatedAt = new Date().toISOString();
+  getScriptProps_().setProperty(SYNC_STATUS_KEY, JSON.stringify(status));
+}
+
+/** Logs (and returns) the progress of the current or last sync. */
+function showSyncStatus() {
+  const status = JSON.parse(getScriptProps_().getProperty(SYNC_STATUS_KEY) || 'null');
+  if (!status) {
+    Logger.log('No sync has run yet.');
+    return null;
   }
+  Logger.log(`Sync ${status.state} (started ${status.runStartedAt}, last update ${status.updatedAt})`);
+  Object.keys(status.cursors || {}).forEach(name => Logger.log(`  ${name}: cursor ${status.cursors[name]}`));
+  Logger.log(`  ${status.batches} batch(es): ${status.payments} payments, ${status.refunds} refunds; updated ${status.updated}, appended ${status.appended}`);
+  if (status.message) Logger.log(`  ${status.message}`);
+  return status;
+}
+
+/**
+ * Builds and upserts the "Processed" rows (plus "Processed Lines" and the
+ * audit trail) for the given payments and refunds. Shared by the hourly sync
+ * and the webhook receiver; callers run finishProcessedSheet_() once at the end.
+ * Returns: { payments, refunds, updated, appended,
+ *   rowChanges: [{ paymentId, time, change: 'added'|'changed'|'unchanged' }] }
+ */
+function processPayments_(payments, refunds) {
+  const sheet = getProcessedSheet_();
+  const layout = processedLayout_(sheet);
+
+  // Webhooks and backfills see every location; keep only the synced ones
+  const locations = readLocations_();
+  payments = payments.filter(p => isSyncedLocation_(locations, p.location_id));
+  refunds = refunds.filter(r => !r.location_id || isSyncedLocation_(locations, r.location_id));
+
+  // A refund may point at a payment outside this window; pull it in so the clawback has a base row
+  const windowPaymentIds = new Set(payments.map(p => p.id));
+  const refundPaymentIds = unique_(refunds.map(r => r.payment_id).filter(id => id && !windowPaymentIds.has(id)));
+  if (refundPaymentIds.length) payments.push(...fetchPaymentsByIds_(refundPaymentIds));
 
   const orderIds = unique_(payments.map(p => p.order_id).filter(Boolean));
   const teamIdsFromPayments = unique_(payments.map(p => p.team_member_id).filter(Boolean));
 
   const ordersById = orderIds.length ? batchRetrieveOrders_(orderIds) : {};
+
+  // Split-tender orders carry sales and commission on their primary tender's row,
+  // which a refund against any of the other tenders needs as its base
+  const paymentsById = {};
+  payments.forEach(p => { paymentsById[p.id] = p; });
+  const primaryIdsForRefunds = unique_(refunds
+    .map(r => paymentsById[r.payment_id])
+    .filter(Boolean)
+    .map(p => primaryTenderPaymentId_(ordersById[p.order_id], p))
+    .filter(id => id && !paymentsById[id]));
+  fetchPaymentsByIds_(primaryIdsForRefunds).forEach(p => {
+    payments.push(p);
+    paymentsById[p.id] = p;
+  });
   const variationIds = collectLineVariationIds_(ordersById);
   const catalogInfo = variationIds.length ? batchRetrieveCatalogMap_(variationIds) : initCatalogInfo_();
+  addCatalogItemsToOverrides_(catalogInfo);
   
-  // Read commission table with team member IDs
+  // Read commission table with team member IDs, per-item overrides, and who shares processing fees
   const commissionData = readCommissionRatesWithTeamIds_();
+  const itemOverrides = readItemOverrides_();
+  const feePolicy = readFeePolicy_();
 
-  // Prefetch booking -> staff for orders tied to appointments
-  const bookingStaffByApptId = prefetchBookingStaff_(ordersById);
+  // Prefetch booking -> staff (and per-service segments) for orders tied to appointments
+  const bookings = prefetchBookingStaff_(ordersById);
+  const bookingStaffByApptId = bookings.staffByApptId;
 
-  // Combine team member IDs from payments and bookings
-  const teamIdsFromBookings = unique_(Object.values(bookingStaffByApptId).filter(Boolean));
+  // Combine team member IDs from payments and every booking segment
+  const teamIdsFromBookings = unique_(Object.values(bookings.segmentsByApptId)
+    .reduce((ids, segs) => ids.concat(segs.map(s => s.team_member_id)), [])
+    .filter(Boolean));
   const teamIds = unique_([...(teamIdsFromPayments || []), ...teamIdsFromBookings]);
 
-  // Build enhanced staff lookup
+  // Build enhanced staff lookup; anyone not on "Commission Rates" yet is added there
   const staffById = buildStaffLookup_(teamIds, commissionData.teamIdToName);
+  Object.assign(staffById, addTeamMembersToRoster_(staffById, commissionData.teamIdToName));
 
   const orderCustomerIds = unique_(Object.values(ordersById)
     .map(o => o && o.customer_id)
@@ -86,12 +291,37 @@ function syncSquareToSheet() {
   const allCustomerIds = unique_([...paymentCustomerIds, ...orderCustomerIds]);
   const customersById = allCustomerIds.length ? bulkRetrieveCustomers_(allCustomerIds) : {};
 
-  const paymentRowIndex = buildExistingIndex_(sheet, 1); // PaymentID -> row
+  const paymentRowIndex = buildExistingIndex_(sheet, 1, layout.col['PaymentID'] + 1); // PaymentID -> row
+
+  const rowsByPaymentId = {};
+  const lineRows = [];
+  const taxRows = [];
+  const exceptions = [];
+  const rows = payments.map(p => {
+    const lines = [];
+    const row = buildProcessedRow_(p, ordersById[p.order_id], catalogInfo, staffById, customersById, commissionData, bookingStaffByApptId, bookings.segmentsByApptId, feePolicy, locations, itemOverrides, lines);
+    rowsByPaymentId[p.id] = row;
+    lineRows.push(...buildProcessedLineRows_(p.id, row[1], lines));
+    exceptions.push(...detectExceptions_(p, ordersById[p.order_id], row, lines, commissionData));
+    taxRows.push(...buildTaxRows_(p, ordersById[p.order_id], row[1], locationName_(locations, p.location_id)));
+    return row;
+  });
+  linkLookupFailures_(payments, ordersById, bookings.segmentsByApptId);
+  refunds.forEach(r => {
+    const base = rowsByPaymentId[r.payment_id];
+    if (!base) {
+      Logger.log(`Refund ${r.id}: original payment ${r.payment_id} not found; skipped.`);
+      return;
+    }
+    const order = ordersById[paymentsById[r.payment_id].order_id];
+    const primaryId = primaryTenderPaymentId_(order, paymentsById[r.payment_id]);
+    const orderRow = orderTenderPaymentIds_(order).length > 1 ? rowsByPaymentId[primaryId] : null;
+    rows.push(buildRefundRow_(r, base, orderRow, orderTenderTotal_(order)));
+  });
 
   const updates = [];
   const appends = [];
-  payments.forEach(p => {
-    const row = buildProcessedRow_(p, ordersById[p.order_id], catalogInfo, staffById, customersById, commissionData.commissionByPerson, bookingStaffByApptId);
+  rows.forEach(row => {
     const paymentId = String(row[0]);
     if (paymentRowIndex.hasOwnProperty(paymentId)) {
       updates.push({row: paymentRowIndex[paymentId], values: row});
@@ -100,94 +330,131 @@ function syncSquareToSheet() {
     }
   });
 
+  // Log what each write changes before overwriting anything
+  const existingValues = updates.length ? sheet.getDataRange().getValues() : [];
+  const auditTimestamp = formatDateTime_(now_().toISOString());
+  const auditEntries = [];
+  updates.forEach(u => auditEntries.push(buildAuditEntry_(HEADERS, layout.fromSheetRow(existingValues[u.row - 1] || []), u.values, auditTimestamp)));
+  appends.forEach(values => auditEntries.push(buildAuditEntry_(HEADERS, null, values, auditTimestamp)));
+
+  // Rows are laid out by header name; columns added by hand keep their values
   if (updates.length) {
-    const lastCol = colLetter_(HEADERS.length);
+    const lastCol = colLetter_(layout.width);
     const range = sheet.getRangeList(updates.map(u => `A${u.row}:${lastCol}${u.row}`)).getRanges();
-    updates.forEach((u, i) => range[i].setValues([u.values]));
+    updates.forEach((u, i) => range[i].setValues([layout.toSheetRow(u.values, existingValues[u.row - 1])]));
   }
   if (appends.length) {
-    sheet.getRange(sheet.getLastRow()+1, 1, appends.length, HEADERS.length).setValues(appends);
+    sheet.getRange(sheet.getLastRow()+1, 1, appends.length, layout.width)
+      .setValues(appends.map(values => layout.toSheetRow(values, null)));
   }
 
-  // Apply formatting after updates/appends
-  applyFormatting(sheet, HEADERS.length);
+  writeProcessedLines_(lineRows, payments.map(p => p.id));
+  writeProcessedTaxes_(taxRows, payments.map(p => p.id));
+  writeExceptions_(exceptions, payments.map(p => p.id));
+  writeAuditEntries_(auditEntries.filter(Boolean));
+
+  rememberBookingPayments_(ordersById, payments);
+
+  const rowChanges = updates.map((u, i) => ({ paymentId: u.values[0], time: u.values[1], change: auditEntries[i] ? 'changed' : 'unchanged' }))
+    .concat(appends.map(values => ({ paymentId: values[0], time: values[1], change: 'added' })));
+  return { payments: payments.length, refunds: refunds.length, updated: updates.length, appended: appends.length, rowChanges };
+}
 
-  // Sort by "Time & Date" (column B) descending
+/**
+ * Formats "Processed" and sorts it by "Time & Date" descending. Run once after
+ * a sync, backfill or webhook event has written all its batches, not per batch.
+ */
+function finishProcessedSheet_() {
+  const sheet = getProcessedSheet_();
+  const layout = processedLayout_(sheet);
+  applyProcessedFormatting_(sheet, layout.width);
+
+  // Whole rows, so extra columns stay with their payment
   const totalRows = sheet.getLastRow();
   if (totalRows > 1) {
     sheet
-      .getRange(2, 1, totalRows - 1, HEADERS.length)
-      .sort({column: 2, ascending: false});
+      .getRange(2, 1, totalRows - 1, layout.width)
+      .sort({column: layout.col['Time & Date'] + 1, ascending: false});
     Logger.log(`Sorted "Processed" sheet by "Time & Date" descending.`);
   }
-
-  props.setProperty(SYNC_CURSOR_KEY, nowIso);
-  Logger.log(`Processed ${payments.length} payments. Updated ${updates.length}, appended ${appends.length}.`);
 }
 
-function buildProcessedRow_(payment, order, catalogInfo, staffById, customersById, commissionByPerson, bookingStaffByApptId) {
+/**
+ * Builds one "Processed" row for a payment. When linesOut is given, the
+ * per-line staff attribution behind the commission totals is pushed into it.
+ */
+function buildProcessedRow_(payment, order, catalogInfo, staffById, customersById, commissionData, bookingStaffByApptId, bookingSegmentsByApptId, feePolicyByPerson, locations, itemOverrides, linesOut) {
   const money = m => (m && typeof m.amount === 'number') ? m.amount / 100 : 0;
   const paymentId = payment.id;
   const createdAtIso = payment.created_at || payment.updated_at || '';
   const createdAt = createdAtIso ? formatDateTime_(createdAtIso) : '';
+  const paidAt = createdAtIso ? new Date(createdAtIso) : new Date(); // rates are applied as of this date
   const status = payment.status || '';
   const tips = money(payment.tip_money);
   const amountPaid = money(payment.total_money);
-  const refundedTotal = money(payment.refunded_money);
   const processingFee = (payment.processing_fee || [])
     .map(f => money(f.amount_money || f.applied_money))
     .reduce((a,b)=>a+b, 0);
 
   // Prefer booking staff, then payment, then legacy order field
-  let fullStaffName = '';
+  let staffTeamMemberId = '';
   let staffFlag = '';
   const apptId = extractAppointmentIdFromOrder_(order);
   if (apptId && bookingStaffByApptId && bookingStaffByApptId[apptId]) {
-    const tmId = bookingStaffByApptId[apptId];
-    fullStaffName = staffById[tmId] || '';
+    staffTeamMemberId = bookingStaffByApptId[apptId];
     staffFlag = 'from_booking';
   } else if (payment.team_member_id) {
-    fullStaffName = staffById[payment.team_member_id] || '';
+    staffTeamMemberId = payment.team_member_id;
     staffFlag = 'from_payment';
   } else if (order && order.employee_id) {
-    fullStaffName = staffById[order.employee_id] || '';
+    staffTeamMemberId = order.employee_id;
     staffFlag = 'from_order_legacy';
   } else {
     staffFlag = 'STAFF_MISSING';
   }
-  const staffName = fullStaffName ? fullStaffName.split(' ')[0] : '';
+  const staffName = staffTeamMemberId ? (staffById[staffTeamMemberId] || '') : '';
   if (staffFlag === 'STAFF_MISSING' && ENABLE_MISSING_STAFF_LOGS) {
     logMissingStaffDiagnostic_(payment, order, bookingStaffByApptId);
   }
   const chosenCustomerId = payment.customer_id || (order && order.customer_id) || null;
   const customerName = resolveCustomerName_(chosenCustomerId, customersById, payment);
 
+  // Split tender: only the primary tender's row carries the order's sales, discounts
+  // and commission; the others carry just their own Amount Paid, tips and fee
+  const isPrimaryTender = primaryTenderPaymentId_(order, payment) === paymentId;
+  const isSplitTender = orderTenderPaymentIds_(order).length > 1;
+  const orderForSales = isPrimaryTender ? order : null;
+
   let serviceNames = [];
   let productNames = [];
   let serviceSales = 0;
   let productSales = 0;
   let productTax = 0;
+  let giftCardSales = 0;
   let discounts = 0;
   let additionalFees = 0;
 
-  if (order) {
-    const lineItems = (order.line_items || []);
-    lineItems.forEach(li => {
-      const varId = li.catalog_object_id;
-      const parentInfo = catalogInfo.variationToItem[varId] || {};
-      const isService = parentInfo.product_type === 'APPOINTMENTS_SERVICE';
-      const gross = money(li.gross_sales_money);
-      const lineDiscount = money(li.total_discount_money);
-      const net = Math.max(0, gross - lineDiscount);
-      const name = (parentInfo.item_name || li.name || '').trim();
-
-      if (isService) {
-        serviceNames.push(name);
-        serviceSales += net;
+  // Commission is worked out per line item, each at its own staff member's rate
+  let serviceCommissionRaw = 0;
+  let productCommissionRaw = 0;
+  const lines = attributeLineItems_(payment, orderForSales, catalogInfo, staffById, commissionData, itemOverrides,
+    { teamMemberId: staffTeamMemberId, flag: staffFlag },
+    apptId && bookingSegmentsByApptId ? bookingSegmentsByApptId[apptId] : null);
+  if (linesOut) linesOut.push(...lines);
+
+  if (orderForSales) {
+    lines.forEach(line => {
+      if (line.isGiftCard) {
+        giftCardSales += line.net; // a liability until redeemed (see Tenders.js)
+      } else if (line.isService) {
+        serviceNames.push(line.name);
+        serviceSales += line.net;
+        serviceCommissionRaw += line.commission;
       } else {
-        productNames.push(name);
-        productSales += net;
-        productTax += money(li.total_tax_money);
+        productNames.push(line.name);
+        productSales += line.net;
+        productTax += line.tax;
+        productCommissionRaw += line.commission;
       }
     });
 
@@ -203,29 +470,27 @@ function buildProcessedRow_(payment, order, catalogInfo, staffById, customersByI
   const serviceLabel = unique_(serviceNames.filter(Boolean)).join(', ');
   const productLabel = unique_(productNames.filter(Boolean)).join(', ');
 
-  // Commission resolution order:
-  // 1) Item-specific override from COMMISSION_RULES.byItemName
-  // 2) Staff rate from Commission Rates sheet
-  // 3) Default from COMMISSION_RULES
-  const svcRate = resolveCommissionRate_(staffName, serviceLabel, true, commissionByPerson);
-  const prodRate = resolveCommissionRate_(staffName, productLabel, false, commissionByPerson);
-
-  const staffServiceCommission = round2_(serviceSales * svcRate);
-  const productCommission     = round2_(productSales * prodRate);
-  const staffProcessingFee = 0; // set if you share fees with staff
+  // Rates shown on the row are the blended rate across lines; with no sales of
+  // that kind, the primary staff member's own rate (see resolveCommissionRate_)
+  const svcRate = serviceSales
+    ? round4_(serviceCommissionRaw / serviceSales)
+    : resolveCommissionRate_(commissionData, staffTeamMemberId, staffName, true, paidAt, payment.location_id);
+  const prodRate = productSales
+    ? round4_(productCommissionRaw / productSales)
+    : resolveCommissionRate_(commissionData, staffTeamMemberId, staffName, false, paidAt, payment.location_id);
+
+  const staffServiceCommission = round2_(serviceCommissionRaw);
+  const productCommission     = round2_(productCommissionRaw);
+  const staffProcessingFee = computeStaffProcessingFee_(feePolicyByPerson, staffKeys_(commissionData, staffTeamMemberId, staffName), payment, {
+    processingFee, amountPaid, tips, serviceSales
+  });
   const totalStaffCommission = round2_(staffServiceCommission + productCommission + tips - staffProcessingFee);
 
+  // Refunds are written as their own adjustment rows (see buildRefundRow_), not netted here
   const otherAdjustments = 0;
-  const netBusinessTake = round2_(
-    amountPaid
-    - processingFee
-    - totalStaffCommission
-    - tips
-    - refundedTotal
-    + additionalFees
-    - discounts
-    + otherAdjustments
-  );
+  const netBusinessTake = computeNetBusinessTake_({
+    amountPaid, processingFee, totalStaffCommission, tips, additionalFees, discounts, otherAdjustments, giftCardSales
+  });
 
   return [
     paymentId,
@@ -255,9 +520,62 @@ function buildProcessedRow_(payment, order, catalogInfo, staffById, customersByI
     toFixedOrBlank_(netBusinessTake),
     status,
     customerName,
-    staffFlag
+    [staffFlag, isSplitTender ? 'SPLIT_TENDER' : '', belowMenuFlag_(lines)].filter(Boolean).join(', '),
+
+    'Payment',
+    '',
+    createdAtIso ? getPayPeriod_(new Date(createdAtIso)).label : '',
+    payment.order_id || '',
+    describeTenders_(order, payment),
+    locationName_(locations, payment.location_id),
+    staffTeamMemberId,
+    tenderType_(payment),
+    toFixedOrBlank_(giftCardSales)
   ];
 }
+
+/** Payment IDs of an order's tenders, in the order Square lists them. */
+function orderTenderPaymentIds_(order) {
+  return ((order && order.tenders) || []).map(t => t.payment_id || t.id).filter(Boolean);
+}
+
+/** The payment whose row carries the order's sales and commission: the first tender. */
+function primaryTenderPaymentId_(order, payment) {
+  const ids = orderTenderPaymentIds_(order);
+  if (!ids.length || (payment && !ids.includes(payment.id))) return payment ? payment.id : null;
+  return ids[0];
+}
+
+function orderTenderTotal_(order) {
+  return ((order && order.tenders) || [])
+    .map(t => (t.amount_money && typeof t.amount_money.amount === 'number') ? t.amount_money.amount / 100 : 0)
+    .reduce((a,b)=>a+b, 0);
+}
+
+/** e.g. "CARD $40.00 + CASH $20.00"; falls back to the payment itself when the order has no tenders. */
+function describeTenders_(order, payment) {
+  const money = m => (m && typeof m.amount === 'number') ? m.amount / 100 : 0;
+  const tenders = (order && order.tenders) || [];
+  if (tenders.length) {
+    return tenders.map(t => `${t.type || 'OTHER'} $${money(t.amount_money).toFixed(2)}`).join(' + ');
+  }
+  return `${payment.source_type || 'OTHER'} $${money(payment.total_money).toFixed(2)}`;
+}
+
+/** Gift card sales are left out: they're owed to the card holder, not earned. */
+function computeNetBusinessTake_(t) {
+  return round2_(
+    t.amountPaid
+    - t.processingFee
+    - t.totalStaffCommission
+    - t.tips
+    + t.additionalFees
+    - t.discounts
+    + t.otherAdjustments
+    - (t.giftCardSales || 0)
+  );
+}
+
 function colLetter_(n) {
   let s = '';
   while (n > 0) {
@@ -339,13 +657,14 @@ function logMissingStaffDiagnostic_(payment, order, bookingStaffByApptId) {
 }
 
 /**
- * Prefetch booking -> team_member_id for all orders that have an appointment.
- * Caches results in Script Properties.
- * Returns: { appointment_id: team_member_id, ... }
+ * Prefetch booking staff for all orders that have an appointment.
+ * Caches each booking's segments in the "booking" cache.
+ * Returns:
+ * - staffByApptId: { appointment_id: team_member_id of the first segment, ... }
+ * - segmentsByApptId: { appointment_id: [{ service_variation_id, team_member_id }, ...], ... }
  */
 function prefetchBookingStaff_(ordersById) {
-  const props = PropertiesService.getScriptProperties();
-  const cache = JSON.parse(props.getProperty(BOOKING_CACHE_KEY) || '{}');
+  const cache = openCache_('booking');
   const apptIds = new Set();
 
   Object.values(ordersById).forEach(o => {
@@ -353,124 +672,241 @@ function prefetchBookingStaff_(ordersById) {
     if (apptId) apptIds.add(apptId);
   });
 
-  const missing = Array.from(apptIds).filter(id => !(id in cache));
+  // Refetch entries without segments: never fetched, expired, failed last time, or
+  // cached as a bare team_member_id string before segments were kept
+  const failures = readLookupFailures_();
+  const missing = Array.from(apptIds).filter(id => {
+    const entry = cache.get(id);
+    return !entry || typeof entry === 'string' || !entry.segments;
+  });
   missing.forEach(id => {
+    const entry = {};
     try {
       const res = squareGet_(`/bookings/${encodeURIComponent(id)}`);
       const booking = res.booking || res;
       const segs = booking && booking.appointment_segments ? booking.appointment_segments : [];
-      const tmId = (segs && segs.length) ? segs[0].team_member_id : '';
-      cache[id] = tmId || '';
+      entry.segments = segs.map(s => ({
+        service_variation_id: s.service_variation_id || '',
+        team_member_id: s.team_member_id || ''
+      }));
+      cache.set(id, entry);
+      clearLookupFailure_(failures, 'booking', id);
       Utilities.sleep(120);
     } catch (e) {
       Logger.log(`Booking fetch failed for ${id}: ${e}`);
-      cache[id] = '';
+      if (e instanceof SquareApiError && e.status === 404) {
+        // Deleted booking: nothing to retry
+        entry.segments = [];
+        cache.set(id, entry);
+        clearLookupFailure_(failures, 'booking', id);
+      } else {
+        noteLookupFailure_(failures, 'booking', id, e);
+      }
     }
   });
 
-  props.setProperty(BOOKING_CACHE_KEY, JSON.stringify(cache));
+  cache.flush();
+  saveLookupFailures_(failures);
+
+  // An expired entry whose refetch failed still has its last known segments
+  const staffByApptId = {};
+  const segmentsByApptId = {};
+  Array.from(apptIds).forEach(id => {
+    const entry = cache.peek(id);
+    const segs = (entry && entry.segments) || [];
+    segmentsByApptId[id] = segs;
+    staffByApptId[id] = segs.length ? (segs[0].team_member_id || '') : '';
+  });
+  return { staffByApptId, segmentsByApptId };
+}
 
-  const out = {};
-  Array.from(apptIds).forEach(id => out[id] = cache[id] || '');
-  return out;
+/**
+ * Records which payments belong to each appointment ("booking_payments" cache),
+ * so a booking.updated webhook knows which Processed rows to rebuild.
+ */
+function rememberBookingPayments_(ordersById, payments) {
+  const cache = openCache_('booking_payments');
+  payments.forEach(p => {
+    const apptId = extractAppointmentIdFromOrder_(ordersById[p.order_id]);
+    if (!apptId) return;
+    const ids = cache.peek(apptId) || [];
+    if (!ids.includes(p.id)) cache.set(apptId, ids.concat([p.id]));
+  });
+  cache.flush();
 }
 
 /**
- * Read "Commission Rates" sheet including Square Team Member IDs from column D
+ * Read "Commission Rates" sheet including Square Team Member IDs from column D,
+ * effective dates from columns E:F and the location from column G
  * Returns: 
- * - commissionByPerson: { 'First Last': {service: 0.x, product: 0.y}, ... }
+ * - commissionByPerson: { 'First Last': [{service: 0.x, product: 0.y, from: Date|null, to: Date|null, location: 'location_id'|'', pending: bool}, ...], ... }
+ *   (sorted by effective-from, open-ended first; pending rows are still flagged
+ *   ROSTER_NEW_FLAG in column H or have no rates in B:C, and never apply)
+ * - commissionById: { 'team_member_id': [same records] }: the rows with that ID,
+ *   plus rows with no ID under a name only that ID's rows use
  * - teamIdToName: { 'team_member_id': 'First Last', ... }
+ * - namesById: { 'team_member_id': ['First Last', ...] } every name on that ID's rows, first row's first
  */
 function readCommissionRatesWithTeamIds_() {
-  const ss = SpreadsheetApp.getActive();
+  const ss = getSpreadsheet_();
   const sh = ss.getSheetByName(COMMISSION_SHEET_NAME);
   const commissionByPerson = {};
+  const commissionById = {};
   const teamIdToName = {};
+  const namesById = {};
   
-  if (!sh) return { commissionByPerson, teamIdToName };
+  if (!sh) return { commissionByPerson, commissionById, teamIdToName, namesById };
 
   const last = sh.getLastRow();
-  if (last < 2) return { commissionByPerson, teamIdToName };
+  if (last < 2) return { commissionByPerson, commissionById, teamIdToName, namesById };
 
-  const values = sh.getRange(2, 1, last - 1, 4).getValues(); // A:D
-  values.forEach(r => {
+  const locations = readLocations_();
+  const unlinked = []; // rows with no ID: [name, record]
+  const values = sh.getRange(2, 1, last - 1, ROSTER_FLAG_COLUMN).getValues(); // A:H
+  values.forEach((r, i) => {
     const name = String(r[0] || '').trim();
     if (!name) return;
     
     const svc = normalizeRate_(r[1]);
     const prod = normalizeRate_(r[2]);
     const teamId = String(r[3] || '').trim();
+    const from = parseSheetDate_(r[4]);
+    const to = parseSheetDate_(r[5]);
+    const location = resolveLocationId_(locations, r[6]);
+    const pending = String(r[ROSTER_FLAG_COLUMN - 1] || '').trim() === ROSTER_NEW_FLAG ||
+      (String(r[1]).trim() === '' && String(r[2]).trim() === '');
     
-    commissionByPerson[name] = { service: svc, product: prod };
-    
-    // Map team member ID to person name
+    const record = { service: svc, product: prod, from, to, location, pending, sheetRow: i + 2 };
+    (commissionByPerson[name] = commissionByPerson[name] || []).push(record);
     if (teamId) {
+      (commissionById[teamId] = commissionById[teamId] || []).push(record);
+      namesById[teamId] = unique_((namesById[teamId] || []).concat(name));
+    } else {
+      unlinked.push([name, record]);
+    }
+    
+    // Map team member ID to person name (first row wins; see findStaffIdentityIssues_)
+    if (teamId && !teamIdToName[teamId]) {
       teamIdToName[teamId] = name;
       Logger.log(`Mapped team member ${teamId} to ${name}`);
     }
   });
   
-  return { commissionByPerson, teamIdToName };
+  unlinked.forEach(([name, record]) => {
+    const ids = Object.keys(namesById).filter(id => namesById[id].includes(name));
+    if (ids.length === 1) commissionById[ids[0]].push(record);
+  });
+  
+  [commissionByPerson, commissionById].forEach(byKey => Object.values(byKey).forEach(list => list.sort((a, b) =>
+    (a.from ? a.from.getTime() : -Infinity) - (b.from ? b.from.getTime() : -Infinity))));
+  
+  return { commissionByPerson, commissionById, teamIdToName, namesById };
+}
+
+/**
+ * A staff member's rate history: the rows for their team member ID, or the
+ * rows under their name only when the ID is blank or on no row.
+ */
+function staffRateHistory_(commissionData, teamMemberId, staffName) {
+  const id = String(teamMemberId || '').trim();
+  return (id && commissionData.commissionById && commissionData.commissionById[id]) ||
+    commissionData.commissionByPerson[staffName];
+}
+
+/**
+ * The rate row in effect on the given date (latest start wins if ranges overlap), or null.
+ * A row for locationId wins over the person's every-location rows; pending rows
+ * (added from Square, rates not yet set) are skipped.
+ */
+function rateInEffect_(rateHistory, atDate, locationId) {
+  if (!rateHistory || !rateHistory.length) return null;
+  const day = atDate ? new Date(atDate.getFullYear(), atDate.getMonth(), atDate.getDate()) : null;
+  const pick = location => {
+    let found = null;
+    rateHistory.forEach(rec => {
+      if ((rec.location || '') !== location || rec.pending) return;
+      if (day && rec.from && day < rec.from) return;
+      if (day && rec.to && day > rec.to) return;
+      if (!day && rec.to) return; // no date: only a still-current rate applies
+      found = rec;
+    });
+    return found;
+  };
+  return (locationId && pick(locationId)) || pick('');
+}
+
+/**
+ * Overlapping or gapped effective-date ranges in one person's rate history.
+ * Returns: ['message', ...]
+ */
+function findRateHistoryIssues_(rateHistory) {
+  const issues = [];
+  const fmt = d => d ? formatDateShort_(d) : '(open)';
+  for (let i = 1; i < rateHistory.length; i++) {
+    const prev = rateHistory[i - 1];
+    const cur = rateHistory[i];
+    const range = r => `row ${r.sheetRow} (${fmt(r.from)} – ${fmt(r.to)})`;
+    if (!prev.to || !cur.from || prev.to >= cur.from) {
+      issues.push(`Overlap: ${range(prev)} and ${range(cur)}`);
+    } else {
+      const dayAfter = new Date(prev.to.getFullYear(), prev.to.getMonth(), prev.to.getDate() + 1);
+      if (dayAfter < cur.from) {
+        const dayBefore = new Date(cur.from.getFullYear(), cur.from.getMonth(), cur.from.getDate() - 1);
+        issues.push(`Gap: no rate from ${fmt(dayAfter)} to ${fmt(dayBefore)} between ${range(prev)} and ${range(cur)}`);
+      }
+    }
+  }
+  return issues;
 }
 
 /**
  * Build staff lookup with fallback to Commission Rates mapping
  */
 function buildStaffLookup_(teamIds, teamIdToName) {
-  const props = PropertiesService.getScriptProperties();
-  const cache = JSON.parse(props.getProperty(TEAM_CACHE_KEY) || '{}');
+  const cache = openCache_('team');
   const out = {};
   const missing = [];
   
   teamIds.forEach(id => {
     // First check if we have a mapping from Commission Rates
+    const cached = teamIdToName[id] ? '' : cache.get(id);
     if (teamIdToName[id]) {
       out[id] = teamIdToName[id];
       // Update cache with this mapping
-      cache[id] = teamIdToName[id];
-    } else if (cache[id]) {
-      out[id] = cache[id];
+      cache.set(id, teamIdToName[id]);
+    } else if (cached) {
+      out[id] = cached;
     } else {
       missing.push(id);
     }
   });
   
   // For any still missing, try to fetch from Square API
+  const failures = readLookupFailures_();
   missing.forEach(id => {
     try {
       const res = squareGet_(`/team-members/${encodeURIComponent(id)}`);
-      const tm = res.team_member || {};
-      
-      // Try multiple fields for the name
-      let name = '';
-      
-      if (tm.display_name && tm.display_name.trim()) {
-        name = tm.display_name.trim();
-      } else if (tm.given_name && tm.given_name.trim()) {
-        const parts = [tm.given_name.trim()];
-        if (tm.family_name && tm.family_name.trim()) {
-          parts.push(tm.family_name.trim());
-        }
-        name = parts.join(' ');
-      } else if (tm.family_name && tm.family_name.trim()) {
-        name = tm.family_name.trim();
-      }
+      const name = teamMemberName_(res.team_member || {});
       
       if (name) {
-        cache[id] = name;
+        cache.set(id, name);
         out[id] = name;
         Logger.log(`Fetched team member ${id}: ${name}`);
       } else {
         Logger.log(`Warning: No name found for team member ${id}`);
       }
+      clearLookupFailure_(failures, 'team', id);
       
       Utilities.sleep(120);
     } catch (e) {
       Logger.log(`Team fetch failed for ${id}: ${e}`);
+      noteLookupFailure_(failures, 'team', id, e);
+      if (cache.peek(id)) out[id] = cache.peek(id); // expired, but better than nothing
     }
   });
   
-  props.setProperty(TEAM_CACHE_KEY, JSON.stringify(cache));
+  cache.flush();
+  saveLookupFailures_(failures);
   return out;
 }
 
@@ -491,43 +927,39 @@ function normalizeRate_(val) {
   return n > 1 ? n / 100 : n;
 }
 
-/** Decide rate using item override, then sheet, then defaults. */
-function resolveCommissionRate_(staffName, itemLabel, isService, commissionByPerson) {
-  // 1) Item override
-  const byItem = COMMISSION_RULES.byItemName || {};
-  for (const key in byItem) {
-    if (key && itemLabel && itemLabel.includes(key)) {
-      const v = byItem[key];
-      if (isService && typeof v.service === 'number') return v.service;
-      if (!isService && typeof v.product === 'number') return v.product;
-    }
-  }
-  // 2) Person from sheet
-  const rec = commissionByPerson[staffName];
+/**
+ * Decide rate using the sheet rate in effect on atDate (at locationId), then defaults.
+ * The staff member's rows are found by team member ID (see staffRateHistory_).
+ * Item overrides are applied per line before this (see itemOverrideRate_).
+ */
+function resolveCommissionRate_(commissionData, teamMemberId, staffName, isService, atDate, locationId) {
+  // 1) Person from sheet, as of the payment date and at its location
+  const rec = rateInEffect_(staffRateHistory_(commissionData, teamMemberId, staffName), atDate, locationId);
   if (rec) return isService ? (rec.service ?? 0) : (rec.product ?? 0);
 
-  // 3) Defaults
+  // 2) Defaults
   return isService ? COMMISSION_RULES.defaultServiceRate : COMMISSION_RULES.defaultProductRate;
 }
 
 // ===== Square fetchers =====
 
-function fetchPaymentsUpdatedSince_(updatedBeginIso, updatedEndIso) {
-  const results = [];
-  let cursor = null;
-  do {
-    const params = {
-      updated_at_begin_time: updatedBeginIso,
-      updated_at_end_time: updatedEndIso,
-      sort_order: 'ASC',
-      limit: 100
-    };
-    if (cursor) params.cursor = cursor;
-    const res = squareGet_('/payments', params);
-    if (res && res.payments) results.push(...res.payments);
-    cursor = res && res.cursor;
-  } while (cursor);
-  return results;
+/**
+ * One page of payments updated in the window, oldest update first; only
+ * locationId's payments when given.
+ * Returns: { payments: [...], cursor: next page cursor or null }
+ */
+function fetchPaymentsPage_(updatedBeginIso, updatedEndIso, cursor, locationId) {
+  const params = {
+    updated_at_begin_time: updatedBeginIso,
+    updated_at_end_time: updatedEndIso,
+    location_id: locationId,
+    sort_field: 'UPDATED_AT',
+    sort_order: 'ASC',
+    limit: SYNC_BATCH_SIZE
+  };
+  if (cursor) params.cursor = cursor;
+  const res = squareGet_('/payments', params);
+  return { payments: (res && res.payments) || [], cursor: (res && res.cursor) || null };
 }
 
 function batchRetrieveOrders_(orderIds) {
@@ -579,11 +1011,19 @@ function batchRetrieveCatalogMap_(variationIds) {
 
     all.forEach(obj => {
       if (obj.type === 'ITEM_VARIATION' && obj.item_variation_data) {
-        const parentId = obj.item_variation_data.item_id;
+        const data = obj.item_variation_data;
+        const parentId = data.item_id;
         const parent = itemsById[parentId] || {};
+        const locationPrices = {};
+        (data.location_overrides || []).forEach(o => {
+          if (o.location_id && o.price_money) locationPrices[o.location_id] = o.price_money.amount / 100;
+        });
         variationToItem[obj.id] = {
+          item_id: parentId,
           product_type: parent.product_type,
-          item_name: parent.item_name
+          item_name: parent.item_name,
+          price: data.price_money ? data.price_money.amount / 100 : null, // null: variable price
+          location_prices: locationPrices
         };
       }
     });
@@ -593,10 +1033,10 @@ function batchRetrieveCatalogMap_(variationIds) {
 }
 
 function bulkRetrieveCustomers_(customerIds) {
-  const props = PropertiesService.getScriptProperties();
-  const cache = JSON.parse(props.getProperty(CUSTOMER_CACHE_KEY) || '{}');
+  const cache = openCache_('customer');
   const out = {};
-  const missing = customerIds.filter(id => !cache[id]);
+  const missing = customerIds.filter(id => !cache.get(id));
+  const failures = readLookupFailures_();
   for (let i = 0; i < missing.length; i += 100) {
     const chunk = missing.slice(i, i+100);
     try {
@@ -609,15 +1049,19 @@ function bulkRetrieveCustomers_(customerIds) {
         const cid = c.id || key; // prefer object id when present
         const name = [c.given_name, c.family_name].filter(Boolean).join(' ').trim()
           || c.company_name || c.email_address || '';
-        if (cid && name) cache[cid] = name;
+        if (cid && name) cache.set(cid, name);
       });
+      chunk.forEach(id => clearLookupFailure_(failures, 'customer', id));
       Utilities.sleep(150);
     } catch (e) {
       Logger.log(`Customers bulk-retrieve failed: ${e}`);
+      chunk.forEach(id => noteLookupFailure_(failures, 'customer', id, e));
     }
   }
-  customerIds.forEach(id => out[id] = cache[id] || '');
-  props.setProperty(CUSTOMER_CACHE_KEY, JSON.stringify(cache));
+  // peek: an expired name whose refresh failed is still shown
+  customerIds.forEach(id => out[id] = cache.peek(id) || '');
+  cache.flush();
+  saveLookupFailures_(failures);
   return out;
 }
 
@@ -642,20 +1086,66 @@ function squareGet_(path, params) {
       .join('&');
     if (qs) url += `?${qs}`;
   }
-  const resp = UrlFetchApp.fetch(url, { method: 'get', headers: squareHeaders_(), muteHttpExceptions: true });
-  return parseResponse_(resp, url, 'GET');
+  if (SQUARE_REPLAY.mode === 'replay') return replaySquareResponse_('GET', url, null);
+  const options = { method: 'get', headers: squareHeaders_(), muteHttpExceptions: true };
+  return recordSquareResponse_('GET', url, null, () => fetchWithRetry_(url, options, 'GET'));
 }
 
 function squarePost_(path, body) {
   const url = `${SQUARE_API_BASE}${path}`;
-  const resp = UrlFetchApp.fetch(url, {
+  if (SQUARE_REPLAY.mode === 'replay') return replaySquareResponse_('POST', url, body || {});
+  const options = {
     method: 'post',
     headers: squareHeaders_(),
     contentType: 'application/json',
     payload: JSON.stringify(body || {}),
     muteHttpExceptions: true
-  });
-  return parseResponse_(resp, url, 'POST');
+  };
+  return recordSquareResponse_('POST', url, body || {}, () => fetchWithRetry_(url, options, 'POST'));
+}
+
+/**
+ * Fetches and parses a Square response, retrying 429s, 5xx responses and
+ * network errors up to SQUARE_RETRY.maxAttempts times.
+ */
+function fetchWithRetry_(url, options, method) {
+  for (let attempt = 1; ; attempt++) {
+    let resp;
+    try {
+      resp = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      if (attempt >= SQUARE_RETRY.maxAttempts) throw e;
+      waitBeforeRetry_(attempt, null, `${method} ${url}: ${e}`);
+      continue;
+    }
+    const code = resp.getResponseCode();
+    if ((code === 429 || code >= 500) && attempt < SQUARE_RETRY.maxAttempts) {
+      waitBeforeRetry_(attempt, retryAfterMs_(resp), `${method} ${url} returned ${code}`);
+      continue;
+    }
+    return parseResponse_(resp, url, method);
+  }
+}
+
+/** Sleeps for Retry-After when Square sent one, else exponential backoff with jitter. */
+function waitBeforeRetry_(attempt, retryAfterMs, reason) {
+  const backoff = Math.min(SQUARE_RETRY.maxDelayMs, SQUARE_RETRY.baseDelayMs * Math.pow(2, attempt - 1));
+  const delay = retryAfterMs !== null
+    ? Math.min(SQUARE_RETRY.maxDelayMs, retryAfterMs)
+    : Math.round(backoff / 2 + Math.random() * backoff / 2);
+  Logger.log(`${reason}; retry ${attempt}/${SQUARE_RETRY.maxAttempts - 1} in ${delay}ms`);
+  Utilities.sleep(delay);
+}
+
+/** Retry-After in ms (seconds or an HTTP date), or null when absent. */
+function retryAfterMs_(resp) {
+  const headers = resp.getHeaders() || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === 'retry-after');
+  if (!key) return null;
+  const v = String(headers[key]).trim();
+  if (/^\d+$/.test(v)) return Number(v) * 1000;
+  const at = Date.parse(v);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
 }
 
 function parseResponse_(resp, url, method) {
@@ -664,32 +1154,192 @@ function parseResponse_(resp, url, method) {
   if (code >= 200 && code < 300) {
     return text ? JSON.parse(text) : {};
   }
-  throw new Error(`${method} ${url} failed (${code}): ${text}`);
+  let errors = [];
+  try {
+    errors = (JSON.parse(text) || {}).errors || [];
+  } catch (e) {
+    // Not JSON (e.g. a gateway error page); keep the raw text in the message
+  }
+  throw new SquareApiError(method, url, code, errors, text);
+}
+
+/**
+ * A non-2xx Square response. errors is Square's structured errors array
+ * ([{ category, code, detail, field }]); category/code are the first entry's.
+ */
+class SquareApiError extends Error {
+  constructor(method, url, status, errors, text) {
+    const detail = (errors || []).map(e => [e.code, e.detail].filter(Boolean).join(': ')).join('; ');
+    super(`${method} ${url} failed (${status}): ${detail || text || ''}`);
+    this.name = 'SquareApiError';
+    this.status = status;
+    this.errors = errors || [];
+    this.category = this.errors.length ? (this.errors[0].category || '') : '';
+    this.code = this.errors.length ? (this.errors[0].code || '') : '';
+    this.retryable = status === 429 || status >= 500;
+  }
+}
+
+// ===== Lookup failures =====
+// Per-ID booking/team/customer fetches that failed; they stay uncached so the
+// next run tries them again, and are listed here until one succeeds. Each
+// entry keeps the PaymentIDs whose rows it left incomplete (STAFF_MISSING, no
+// customer name); the next sync reprocesses those payments first, since the
+// cursor has already moved past them, and drops the entry once that succeeds.
+// After LOOKUP_FAILURE_MAX_ATTEMPTS failed lookups or retries it is dropped anyway.
+
+/**
+ * Re-fetches and reprocesses the payments listed against lookup failures.
+ * Entries whose payments were all reprocessed (changed or not) without the
+ * lookup failing again are removed; the rest keep their payments for the next
+ * run, until they reach LOOKUP_FAILURE_MAX_ATTEMPTS.
+ * Returns: processPayments_'s result, or null when nothing was pending
+ */
+function retryLookupFailures_() {
+  const pending = readLookupFailures_();
+  const paymentIds = unique_(Object.keys(pending).reduce((ids, kind) =>
+    ids.concat(...Object.values(pending[kind]).map(f => f.paymentIds || [])), []));
+  if (!paymentIds.length) return null;
+
+  // Fetched payments are all reprocessed (or skipped, at a location not synced)
+  const payments = fetchPaymentsByIds_(paymentIds);
+  const result = processPayments_(payments, []);
+
+  const done = new Set(payments.map(p => String(p.id)));
+  const failures = readLookupFailures_();
+  Object.keys(failures).forEach(kind => {
+    Object.keys(failures[kind]).forEach(id => {
+      const entry = failures[kind][id];
+      const before = pending[kind] && pending[kind][id];
+      if (!before) return; // first noted during this retry
+      const failedAgain = entry.attempts > before.attempts;
+      const reprocessed = (entry.paymentIds || []).every(paymentId => done.has(String(paymentId)));
+      if (reprocessed && !failedAgain) {
+        clearLookupFailure_(failures, kind, id, true);
+        return;
+      }
+      if (!failedAgain) entry.attempts = (entry.attempts || 0) + 1; // payments couldn't be fetched
+      if (entry.attempts >= LOOKUP_FAILURE_MAX_ATTEMPTS) {
+        Logger.log(`Lookup failures: giving up on ${kind} ${id} after ${entry.attempts} attempts (payments ${(entry.paymentIds || []).join(', ')})`);
+        clearLookupFailure_(failures, kind, id, true);
+      }
+    });
+  });
+  saveLookupFailures_(failures);
+  Logger.log(`Lookup failures: reprocessed ${result.payments} of ${paymentIds.length} payment(s); ${Object.keys(failures).reduce((n, kind) => n + Object.keys(failures[kind]).length, 0)} lookup(s) still failing.`);
+  return result;
+}
+
+/** Records against each open lookup failure the payments that depend on it. */
+function linkLookupFailures_(payments, ordersById, segmentsByApptId) {
+  const failures = readLookupFailures_();
+  if (!Object.keys(failures).length) return;
+
+  let linked = false;
+  const link = (kind, id, paymentId) => {
+    const entry = id && failures[kind] && failures[kind][id];
+    if (!entry || entry.resolved) return;
+    entry.paymentIds = entry.paymentIds || [];
+    if (!entry.paymentIds.includes(paymentId)) {
+      entry.paymentIds.push(paymentId);
+      linked = true;
+    }
+  };
+  payments.forEach(p => {
+    const order = ordersById[p.order_id];
+    const apptId = extractAppointmentIdFromOrder_(order);
+    link('booking', apptId, p.id);
+    link('customer', p.customer_id || (order && order.customer_id), p.id);
+    [p.team_member_id, order && order.employee_id]
+      .concat(((apptId && segmentsByApptId[apptId]) || []).map(s => s.team_member_id))
+      .forEach(id => link('team', id, p.id));
+  });
+  if (linked) saveLookupFailures_(failures);
+}
+
+function readLookupFailures_() {
+  return JSON.parse(getScriptProps_().getProperty(LOOKUP_FAILURES_KEY) || '{}');
+}
+
+function saveLookupFailures_(failures) {
+  getScriptProps_().setProperty(LOOKUP_FAILURES_KEY, JSON.stringify(failures));
+}
+
+function noteLookupFailure_(failures, kind, id, err) {
+  const byId = failures[kind] = failures[kind] || {};
+  byId[id] = {
+    error: String((err && err.message) || err).slice(0, 300),
+    attempts: ((byId[id] && byId[id].attempts) || 0) + 1,
+    last: now_().toISOString(),
+    paymentIds: (byId[id] && byId[id].paymentIds) || []
+  };
+}
+
+/**
+ * Drops a failure once its lookup succeeds. One with payments still to
+ * reprocess is only marked resolved, unless force (retryLookupFailures_).
+ */
+function clearLookupFailure_(failures, kind, id, force) {
+  if (!failures[kind] || !failures[kind][id]) return;
+  const entry = failures[kind][id];
+  if (!force && (entry.paymentIds || []).length) {
+    entry.resolved = true;
+    return;
+  }
+  delete failures[kind][id];
+  if (!Object.keys(failures[kind]).length) delete failures[kind];
 }
 
 // ===== Sheet helpers =====
 
+/**
+ * The named tab with headers in row 1. When the existing header row is the
+ * start of headers (columns added at the end), only the new header cells are
+ * written and the rows are kept. Any other header row is replaced, after the
+ * tab is copied to "<name> backup yyyy-mm-dd hhmm" if it has rows.
+ */
 function getOrCreateSheet_(name, headers) {
-  const ss = SpreadsheetApp.getActive();
+  const ss = getSpreadsheet_();
   let sheet = ss.getSheetByName(name);
   if (!sheet) {
     sheet = ss.insertSheet(name);
   }
-  const firstRow = sheet.getRange(1, 1, 1, headers.length).getValues()[0];
-  const needsHeaders = firstRow.some((v, i) => String(v).trim() !== headers[i]);
-  if (needsHeaders) {
-    sheet.clear();
-    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-    sheet.setFrozenRows(1);
+  const firstRow = sheet.getRange(1, 1, 1, headers.length).getValues()[0].map(v => String(v).trim());
+  let used = firstRow.length;
+  while (used && !firstRow[used - 1]) used--;
+  if (used === headers.length && firstRow.every((v, i) => v === headers[i])) return sheet;
+
+  if (used && firstRow.slice(0, used).every((v, i) => v === headers[i])) {
+    sheet.getRange(1, used + 1, 1, headers.length - used).setValues([headers.slice(used)]);
+    Logger.log(`${name}: added column(s) ${headers.slice(used).join(', ')}.`);
+    return sheet;
+  }
+  if (sheet.getLastRow() > 1) {
+    Logger.log(`${name}: header row changed; old rows backed up to "${backupSheet_(sheet, `${name} backup`)}".`);
   }
+  sheet.clear();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.setFrozenRows(1);
   return sheet;
 }
 
-function buildExistingIndex_(sheet, headerRows) {
+/** Copies a sheet to "<prefix> yyyy-mm-dd hhmm" and returns the copy's name. */
+function backupSheet_(sheet, prefix) {
+  const d = now_();
+  const name = `${prefix} ${formatDateKey_(d)} ${String(d.getHours()).padStart(2, '0')}${String(d.getMinutes()).padStart(2, '0')}`;
+  const ss = getSpreadsheet_();
+  const old = ss.getSheetByName(name);
+  if (old) ss.deleteSheet(old);
+  sheet.copyTo(ss).setName(name);
+  return name;
+}
+
+/** Key in keyColumn (1-based; default A) -> sheet row. */
+function buildExistingIndex_(sheet, headerRows, keyColumn) {
   const last = sheet.getLastRow();
   const index = {};
   if (last <= headerRows) return index;
-  const range = sheet.getRange(headerRows+1, 1, last-headerRows, 1).getValues(); // col A
+  const range = sheet.getRange(headerRows+1, keyColumn || 1, last-headerRows, 1).getValues();
   range.forEach((row, i) => {
     const id = String(row[0] || '').trim();
     if (id) index[id] = headerRows + 1 + i;
@@ -700,13 +1350,42 @@ function buildExistingIndex_(sheet, headerRows) {
 // ===== Generic helpers =====
 
 function isoDaysAgo_(d) {
-  const dt = new Date();
+  const dt = now_();
   dt.setDate(dt.getDate() - d);
   return dt.toISOString();
 }
 function unique_(arr) { return Array.from(new Set(arr)); }
 function round2_(n) { return Math.round((n + Number.EPSILON) * 100) / 100; }
+function round4_(n) { return Math.round((n + Number.EPSILON) * 10000) / 10000; }
 function toFixedOrBlank_(n) { return (typeof n === 'number' && isFinite(n)) ? round2_(n) : ''; }
+function toNumber_(v) {
+  if (typeof v === 'number') return isFinite(v) ? v : 0;
+  const n = parseFloat(String(v || '').replace(/[$,]/g, ''));
+  return isFinite(n) ? n : 0;
+}
+
+/** Header row -> { 'Header Name': zero-based column index } */
+function headerIndex_(headerRow) {
+  const index = {};
+  headerRow.forEach((h, i) => {
+    const name = String(h || '').trim();
+    if (name && !(name in index)) index[name] = i;
+  });
+  return index;
+}
+
+/** Sheet cell (Date, or "M/D/YYYY H:MM:SS" as written by formatDateTime_) -> Date, or null. */
+function parseSheetDate_(v) {
+  if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
+  const s = String(v || '').trim();
+  if (!s) return null;
+  const m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (m) {
+    return new Date(+m[3], +m[1] - 1, +m[2], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+  }
+  const d = new Date(s);
+  return isNaN(d.getTime()) ? null : d;
+}
 
 function formatDateTime_(isoString) {
   try {
@@ -735,40 +1414,36 @@ function resolveCustomerName_(chosenCustomerId, customersById, payment) {
   return payment.buyer_email_address || '';
 }
 
+// "Processed" formatting, by header name
+const PROCESSED_COLUMN_COLORS = {
+  '#D9E1F2': ['Processing Fee','Staff Processing Fee'], // light blue: fees
+  '#E2EFDA': ['Service Sales','Commission Rate (%)','Staff Service Commission','Tips'], // light green: services
+  '#FFF2CC': ['Product','Product Sales','Product Commission Rate','Product Commission','Product Tax'], // light yellow: products
+  '#FCE4EC': ['Discounts','Other Adjustments'] // light pink: adjustments
+};
+const PROCESSED_CURRENCY_COLUMNS = [
+  'Amount Paid','Processing Fee','Staff Processing Fee','Service Sales','Staff Service Commission','Tips',
+  'Product Sales','Product Commission','Product Tax','Discounts','Other Adjustments',
+  'Total Staff Commission','Net Business Take','Gift Card Sales'
+];
+const PROCESSED_PERCENT_COLUMNS = ['Commission Rate (%)','Product Commission Rate'];
+
 /**
  * Applies formatting to the "Processed" sheet (background colors, bold headers, auto-resize, etc.).
+ * Columns are found by header name; ones missing from the sheet are skipped.
+ * (process.gs has its own fixed-column applyFormatting for the legacy import.)
  * @param {Sheet} sheet 
  * @param {number} headerLength 
  */
-function applyFormatting(sheet, headerLength) {
+function applyProcessedFormatting_(sheet, headerLength) {
   const lastRow = sheet.getLastRow();
-  
-  // Background colors for columns G(7) & H(8): light blue
-  const columnsGH = [7, 8];
-  columnsGH.forEach(function(col){
-    const range = sheet.getRange(1, col, lastRow);
-    range.setBackground('#D9E1F2'); // Light blue
-  });
-
-  // Columns I(9), J(10), K(11), L(12): light green
-  const columnsIJKL = [9, 10, 11, 12];
-  columnsIJKL.forEach(function(col){
-    const range = sheet.getRange(1, col, lastRow);
-    range.setBackground('#E2EFDA'); // Light green
-  });
-
-  // Columns M(13), N(14), O(15), P(16), Q(17): light yellow
-  const columnsMNOPQ = [13, 14, 15, 16, 17];
-  columnsMNOPQ.forEach(function(col){
-    const range = sheet.getRange(1, col, lastRow);
-    range.setBackground('#FFF2CC'); // Light yellow
-  });
+  const col = headerIndex_(sheet.getRange(1, 1, 1, headerLength).getValues()[0]);
+  const columns = names => names.filter(h => col[h] !== undefined).map(h => col[h] + 1);
 
-  // Columns R(18) and S(19): light pink
-  const columnsRS = [18, 19];
-  columnsRS.forEach(function(col){
-    const range = sheet.getRange(1, col, lastRow);
-    range.setBackground('#FCE4EC'); // Light pink
+  Object.keys(PROCESSED_COLUMN_COLORS).forEach(function(color){
+    columns(PROCESSED_COLUMN_COLORS[color]).forEach(function(c){
+      sheet.getRange(1, c, lastRow).setBackground(color);
+    });
   });
 
   // Bold headers
@@ -780,16 +1455,14 @@ function applyFormatting(sheet, headerLength) {
   // For rows after the header
   if (lastRow > 1) {
     // Format currency columns
-    const currencyColumns = [6,7,8,9,11,12,14,16,17,18,19,20,21]; 
-    currencyColumns.forEach(function(col){
-      const range = sheet.getRange(2, col, lastRow - 1);
+    columns(PROCESSED_CURRENCY_COLUMNS).forEach(function(c){
+      const range = sheet.getRange(2, c, lastRow - 1);
       range.setNumberFormat('$#,##0.00');
     });
 
     // Format percent columns
-    const percentColumns = [10,15];
-    percentColumns.forEach(function(col){
-      const range = sheet.getRange(2, col, lastRow - 1);
+    columns(PROCESSED_PERCENT_COLUMNS).forEach(function(c){
+      const range = sheet.getRange(2, c, lastRow - 1);
       range.setNumberFormat('0.00%');
     });
   }
@@ -799,15 +1472,18 @@ function applyFormatting(sheet, headerLength) {
 
 // Force refresh - clears all cursors and caches for a full re-sync
 function forceRefresh() {
-  const props = PropertiesService.getScriptProperties();
+  const props = getScriptProps_();
   
-  // Clear sync cursor to force re-processing from default lookback
+  // Clear sync cursors to force re-processing from default lookback
   props.deleteProperty(SYNC_CURSOR_KEY);
+  props.deleteProperty(LOCATION_CURSORS_KEY);
   
-  // Clear caches to force fresh API calls
+  // Clear caches to force fresh API calls (invalidateCache(type) clears just one)
   props.deleteProperty(TEAM_CACHE_KEY);
   props.deleteProperty(CUSTOMER_CACHE_KEY);
   props.deleteProperty(BOOKING_CACHE_KEY);
+  props.deleteProperty(LOOKUP_FAILURES_KEY);
+  ['team', 'customer', 'booking'].forEach(type => invalidateCache(type));
   
   Logger.log('Force refresh: Cleared sync cursor and caches. Next sync will re-process last 30 days.');
   
@@ -829,10 +1505,29 @@ function verifyCommissionRatesSetup() {
   Logger.log('Commission Rates Setup:');
   Logger.log('========================');
   
-  // Show person -> commission mapping
-  Object.entries(data.commissionByPerson).forEach(([name, rates]) => {
-    Logger.log(`${name}: Service ${rates.service * 100}%, Product ${rates.product * 100}%`);
+  // Show person -> commission history, with any overlapping or gapped date ranges
+  // (checked separately for the every-location rows and each location's rows)
+  const locations = readLocations_();
+  const fmt = d => d ? formatDateShort_(d) : '…';
+  let issueCount = 0;
+  Object.entries(data.commissionByPerson).forEach(([name, history]) => {
+    history.forEach(rates => {
+      const where = rates.location ? ` @ ${locationName_(locations, rates.location)}` : '';
+      Logger.log(`${name}${where} [${fmt(rates.from)} – ${fmt(rates.to)}]: Service ${rates.service * 100}%, Product ${rates.product * 100}%`);
+    });
+    unique_(history.map(r => r.location || '')).forEach(location => {
+      const label = location ? `${name} @ ${locationName_(locations, location)}` : name;
+      findRateHistoryIssues_(history.filter(r => (r.location || '') === location)).forEach(msg => {
+        issueCount++;
+        Logger.log(`  ⚠ ${label}: ${msg}`);
+      });
+    });
+    if (!rateInEffect_(history, new Date()) && !history.some(r => r.location && rateInEffect_(history, new Date(), r.location))) {
+      issueCount++;
+      Logger.log(`  ⚠ ${name}: no rate in effect today`);
+    }
   });
+  if (!issueCount) Logger.log('No overlapping or gapped rate date ranges.');
   
   Logger.log('\nTeam Member ID Mappings:');
   Logger.log('========================');
@@ -845,6 +1540,7 @@ function verifyCommissionRatesSetup() {
       Logger.log(`${teamId} → ${name}`);
     });
   }
+  findStaffIdentityIssues_().forEach(msg => Logger.log(`  ⚠ ${msg}`));
   
   return data;
 }
\ No newline at end of file
@@ -0,0 +1,160 @@
+/*******************************
+ * Kinship Barbershop — Square webhook receiver
+ * Deploy as a web app (Execute as: Me, Access: Anyone) and subscribe the
+ * Square webhook to: payment.created, payment.updated, refund.created,
+ * refund.updated, booking.updated
+ * Requires Script Properties:
+ *   SQUARE_WEBHOOK_SIGNATURE_KEY — the subscription's signature key
+ *   SQUARE_WEBHOOK_URL — the notification URL exactly as registered in Square
+ * Apps Script does not pass request headers to doPost, so the
+ * x-square-hmacsha256-signature header has to reach it as the "signature"
+ * query parameter (e.g. through a small forwarding relay registered as the
+ * notification URL). Events that fail the check are dropped.
+ * Payments and refunds at locations not synced (see "Locations") are skipped.
+ * Each event rebuilds only the affected "Processed" rows; the hourly
+ * syncSquareToSheet() trigger stays on as a safety net. Apps Script web apps
+ * always answer HTTP 200, so Square never redelivers an event: one that is
+ * dropped (busy) or fails here is only picked up by that hourly sync.
+ *******************************/
+
+const WEBHOOK_SIGNATURE_KEY_PROP = 'SQUARE_WEBHOOK_SIGNATURE_KEY';
+const WEBHOOK_URL_PROP = 'SQUARE_WEBHOOK_URL';
+const WEBHOOK_EVENT_IDS_KEY = 'SQUARE_WEBHOOK_EVENT_IDS_JSON'; // recent event_ids, oldest first
+const WEBHOOK_EVENT_IDS_KEPT = 300;
+const WEBHOOK_LOCK_WAIT_MS = 25000;
+
+function doPost(e) {
+  const body = (e && e.postData && e.postData.contents) || '';
+  const headers = (e && e.headers) || {};
+  const signature = headers['x-square-hmacsha256-signature'] || (e && e.parameter && e.parameter.signature) || '';
+
+  if (!isValidSquareSignature_(body, signature)) {
+    Logger.log('Webhook: invalid or missing signature; event ignored.');
+    return webhookResponse_({ ok: false, error: 'invalid signature' });
+  }
+
+  let event;
+  try {
+    event = JSON.parse(body);
+  } catch (err) {
+    Logger.log(`Webhook: unparseable body: ${err}`);
+    return webhookResponse_({ ok: false, error: 'invalid body' });
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(WEBHOOK_LOCK_WAIT_MS)) {
+    // Answered 200 like everything else, so Square won't redeliver; the hourly sync picks it up
+    Logger.log(`Webhook: busy; event ${event.event_id} left for the hourly sync.`);
+    return webhookResponse_({ ok: false, error: 'busy' });
+  }
+  try {
+    if (isDuplicateWebhookEvent_(event.event_id)) {
+      Logger.log(`Webhook: duplicate event ${event.event_id} (${event.type}); skipped.`);
+      return webhookResponse_({ ok: true, duplicate: true });
+    }
+    const handled = handleSquareEvent_(event);
+    if (handled) finishProcessedSheet_();
+    rememberWebhookEvent_(event.event_id);
+    return webhookResponse_({ ok: true, handled });
+  } catch (err) {
+    // Not remembered, but Square won't redeliver it either; the hourly sync picks it up
+    Logger.log(`Webhook: ${event.type} ${event.event_id} failed: ${err}`);
+    return webhookResponse_({ ok: false, error: String(err.message || err) });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Rebuilds the Processed rows touched by one Square event.
+ * Returns false for event types this receiver doesn't handle.
+ */
+function handleSquareEvent_(event) {
+  const type = event.type || '';
+  const data = event.data || {};
+  const object = data.object || {};
+
+  if (type === 'payment.created' || type === 'payment.updated') {
+    // Re-read the payment: events can arrive out of order
+    const payments = fetchPaymentsByIds_([data.id || (object.payment && object.payment.id)].filter(Boolean));
+    if (!payments.length) return true;
+    logWebhookResult_(type, data.id, processPayments_(payments, []));
+    return true;
+  }
+
+  if (type === 'refund.created' || type === 'refund.updated') {
+    const refundId = data.id || (object.refund && object.refund.id);
+    const res = squareGet_(`/refunds/${encodeURIComponent(refundId)}`);
+    const refund = res.refund || object.refund;
+    if (!refund || !refund.payment_id) return true;
+    logWebhookResult_(type, refundId, processPayments_([], [refund]));
+    return true;
+  }
+
+  if (type === 'booking.updated') {
+    const booking = object.booking || {};
+    const paymentIds = refreshBookingSegments_(booking.id || data.id, booking);
+    if (!paymentIds.length) {
+      Logger.log(`Webhook: booking ${booking.id || data.id} has no processed payments yet.`);
+      return true;
+    }
+    logWebhookResult_(type, booking.id || data.id, processPayments_(fetchPaymentsByIds_(paymentIds), []));
+    return true;
+  }
+
+  Logger.log(`Webhook: ignoring event type ${type}.`);
+  return false;
+}
+
+/**
+ * Replaces a booking's cached segments with the ones in the event and
+ * returns the payment IDs recorded for that appointment.
+ */
+function refreshBookingSegments_(apptId, booking) {
+  if (!apptId) return [];
+  const cache = openCache_('booking');
+  cache.set(apptId, {
+    segments: (booking.appointment_segments || []).map(s => ({
+      service_variation_id: s.service_variation_id || '',
+      team_member_id: s.team_member_id || ''
+    }))
+  });
+  cache.flush();
+  return openCache_('booking_payments').peek(apptId) || [];
+}
+
+/** Square signs notificationUrl + body with HMAC-SHA256 (base64). */
+function isValidSquareSignature_(body, signature) {
+  const props = getScriptProps_();
+  const key = props.getProperty(WEBHOOK_SIGNATURE_KEY_PROP);
+  const url = props.getProperty(WEBHOOK_URL_PROP);
+  if (!key || !url || !signature) return false;
+
+  const expected = Utilities.base64Encode(Utilities.computeHmacSha256Signature(url + body, key));
+  if (expected.length !== signature.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  return diff === 0;
+}
+
+function isDuplicateWebhookEvent_(eventId) {
+  if (!eventId) return false;
+  const seen = JSON.parse(getScriptProps_().getProperty(WEBHOOK_EVENT_IDS_KEY) || '[]');
+  return seen.includes(eventId);
+}
+
+function rememberWebhookEvent_(eventId) {
+  if (!eventId) return;
+  const props = getScriptProps_();
+  const seen = JSON.parse(props.getProperty(WEBHOOK_EVENT_IDS_KEY) || '[]');
+  seen.push(eventId);
+  props.setProperty(WEBHOOK_EVENT_IDS_KEY, JSON.stringify(seen.slice(-WEBHOOK_EVENT_IDS_KEPT)));
+}
+
+function logWebhookResult_(type, id, result) {
+  Logger.log(`Webhook: ${type} ${id}: updated ${result.updated}, appended ${result.appended} row(s).`);
+}
+
+function webhookResponse_(obj) {
+  return ContentService.createTextOutput(JSON.stringify(obj)).setMimeType(ContentService.MimeType.JSON);
+}